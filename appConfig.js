@@ -0,0 +1,246 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+import util from 'util';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { validateAgainstSchema } from './responseSchemas.js';
+import { STORAGE_BACKEND_NAMES } from './storageBackends.js';
+
+/**
+ * Environment profiles shared by index.js and dbUpdateScript.js.
+ *
+ * config.yaml defines named profiles (prod, staging, local) with the MongoDB cluster, collection and databases, the
+ * invoice storage defaults and the timing settings. APP_PROFILE picks one (default_profile otherwise), a profile may
+ * `extends` another, and the environment variables in ENV_OVERRIDES replace single keys. Credentials never live in
+ * the file: a profile names the environment variables that hold them. Secrets are masked in every console line once
+ * installLogRedaction() has run. Per-run analysis settings (model provider, PDF extraction, prompt templates) are not
+ * part of a profile; config.yaml lists the environment variables they come from.
+ */
+
+export const CONFIG_FILE_NAME = 'config.yaml';
+const DEFAULT_CONFIG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), CONFIG_FILE_NAME);
+
+const REDACTED = '***';
+// Secrets besides the MongoDB passwords named by the profile.
+const SECRET_ENV_VARS = ['GEMMA_API_KEY', 'OPENAI_API_KEY', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN'];
+const MIN_SECRET_LENGTH = 4; // Masking shorter values would garble ordinary log text.
+const URI_CREDENTIALS = /\b([a-z][a-z0-9+.-]*:\/\/[^\s:/@]+):[^\s@/]+@/gi;
+
+/**
+ * Raised for a missing or invalid config file, an unknown profile or missing credentials. `problems` lists every
+ * issue found.
+ */
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const envVarName = { type: 'string', minLength: 1 };
+const credentialSchema = {
+    type: 'object', required: ['username_env', 'password_env'], additionalProperties: false,
+    properties: { username_env: envVarName, password_env: envVarName }
+};
+
+const FILE_SCHEMA = {
+    type: 'object', required: ['profiles'], additionalProperties: false,
+    properties: {
+        default_profile: nonEmptyString,
+        profiles: { type: 'object', minProperties: 1 }
+    }
+};
+
+// A profile after `extends` and the environment overrides are applied.
+const PROFILE_SCHEMA = {
+    type: 'object', required: ['mongodb', 'storage', 'timing'], additionalProperties: false,
+    properties: {
+        description: { type: 'string' },
+        extends: nonEmptyString,
+        mongodb: {
+            type: 'object', required: ['scheme', 'host', 'collection', 'databases'], additionalProperties: false,
+            properties: {
+                scheme: { type: 'string', enum: ['mongodb', 'mongodb+srv'] },
+                host: nonEmptyString,
+                host_env: envVarName, // Variable holding the host, for clusters whose address is not in the file
+                options: { type: 'string' }, // Connection string options, e.g. retryWrites=true&w=majority
+                collection: nonEmptyString,
+                databases: { type: 'array', minItems: 1, items: nonEmptyString },
+                // index.js reads with `read`, dbUpdateScript.js writes with `write`; leave both out for a server without auth.
+                credentials: { type: 'object', additionalProperties: false, properties: { read: credentialSchema, write: credentialSchema } }
+            }
+        },
+        storage: {
+            type: 'object', required: ['backend', 'bucket', 'prefix', 'region'], additionalProperties: false,
+            properties: {
+                backend: { type: 'string', enum: STORAGE_BACKEND_NAMES }, bucket: nonEmptyString, prefix: { type: 'string' }, region: nonEmptyString,
+                endpoint: { type: ['string', 'null'] }, local_dir: { type: ['string', 'null'] }
+            }
+        },
+        timing: {
+            type: 'object', required: ['api_call_delay_ms', 'download_concurrency', 'download_max_attempts', 'download_retry_base_delay_ms'], additionalProperties: false,
+            properties: {
+                api_call_delay_ms: { type: 'integer', minimum: 0 },
+                download_concurrency: { type: 'integer', minimum: 1, maximum: 64 },
+                download_max_attempts: { type: 'integer', minimum: 1, maximum: 10 },
+                download_retry_base_delay_ms: { type: 'integer', minimum: 0 }
+            }
+        }
+    }
+};
+
+const toList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+const toInteger = value => (/^\d+$/.test(value.trim()) ? Number(value) : value);
+
+// Environment variables that replace a profile key. Most keep the names the scripts read before profiles existed.
+const ENV_OVERRIDES = [
+    { env: 'MONGODB_HOST', key: 'mongodb.host' },
+    { env: 'MONGODB_COLLECTION', key: 'mongodb.collection' },
+    { env: 'MONGODB_DATABASES', key: 'mongodb.databases', parse: toList },
+    { env: 'STORAGE_BACKEND', key: 'storage.backend' },
+    { env: 'S3_BUCKET_NAME', key: 'storage.bucket' },
+    { env: 'S3_KEY_PREFIX', key: 'storage.prefix' },
+    { env: 'AWS_REGION', key: 'storage.region' },
+    { env: 'S3_ENDPOINT', key: 'storage.endpoint' },
+    { env: 'LOCAL_STORAGE_DIR', key: 'storage.local_dir' },
+    { env: 'API_CALL_DELAY_MS', key: 'timing.api_call_delay_ms', parse: toInteger },
+    { env: 'DOWNLOAD_CONCURRENCY', key: 'timing.download_concurrency', parse: toInteger },
+    { env: 'DOWNLOAD_MAX_ATTEMPTS', key: 'timing.download_max_attempts', parse: toInteger }
+];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Objects merge key by key; arrays and scalars of the child replace the parent's.
+function mergeProfiles(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeProfiles(base[key], value) : value;
+    }
+    return merged;
+}
+
+function resolveProfile(profiles, name, chain = []) {
+    if (chain.includes(name)) throw new ConfigError([`profiles.${chain[0]}: extends chain loops (${[...chain, name].join(' -> ')})`]);
+    const profile = profiles[name];
+    if (!isPlainObject(profile)) {
+        throw new ConfigError([`Unknown profile '${name}'${chain.length > 0 ? ` (extended by '${chain.at(-1)}')` : ''}. Defined profiles: ${Object.keys(profiles).join(', ')}`]);
+    }
+    if (!profile.extends) return profile;
+    const { extends: parentName, ...own } = profile;
+    return mergeProfiles(resolveProfile(profiles, parentName, [...chain, name]), own);
+}
+
+/**
+ * Loads the active profile: APP_PROFILE or default_profile, with `extends` and the environment overrides applied.
+ * @param {{ env?: object, configFile?: string }} [options] - configFile defaults to APP_CONFIG_FILE, then config.yaml
+ *   next to the code.
+ * @returns {Promise<object>} The profile's mongodb, storage and timing sections plus `profile` and `config_file`.
+ * @throws {ConfigError} Listing every missing or invalid key.
+ */
+export async function loadAppConfig({ env = process.env, configFile = env.APP_CONFIG_FILE || DEFAULT_CONFIG_FILE } = {}) {
+    let document;
+    try {
+        document = YAML.parse(await fsPromises.readFile(configFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new ConfigError([`${configFile} not found (set APP_CONFIG_FILE to use another file)`]);
+        throw new ConfigError([`${configFile} could not be parsed: ${error.message}`]);
+    }
+    const fileProblems = validateAgainstSchema(document, FILE_SCHEMA, configFile);
+    if (fileProblems.length > 0) throw new ConfigError(fileProblems);
+
+    const profileName = env.APP_PROFILE || document.default_profile;
+    if (!profileName) throw new ConfigError([`${configFile}: set APP_PROFILE or default_profile to one of: ${Object.keys(document.profiles).join(', ')}`]);
+    const profile = structuredClone(resolveProfile(document.profiles, profileName));
+
+    const hostEnv = profile.mongodb?.host_env;
+    if (hostEnv && env[hostEnv]) {
+        profile.mongodb = { ...profile.mongodb, host: env[hostEnv] };
+    } else if (hostEnv && !env.MONGODB_HOST) {
+        throw new ConfigError([`${hostEnv} must be set for profile '${profileName}' (mongodb.host_env)`]);
+    }
+
+    for (const { env: name, key, parse } of ENV_OVERRIDES) {
+        if (env[name] === undefined || env[name] === '') continue;
+        const [section, field] = key.split('.');
+        profile[section] = { ...profile[section], [field]: parse ? parse(env[name]) : env[name] };
+    }
+    const { extends: _parent, ...resolved } = profile;
+    const problems = validateAgainstSchema(resolved, PROFILE_SCHEMA, `${path.basename(configFile)} profiles.${profileName}`)
+        .map(problem => {
+            const override = ENV_OVERRIDES.find(({ env: name, key }) => env[name] && problem.includes(`.${key}`));
+            return override ? `${problem} (set by ${override.env})` : problem;
+        });
+    if (problems.length > 0) throw new ConfigError(problems);
+    return { profile: profileName, config_file: configFile, ...resolved };
+}
+
+/**
+ * Connection string for the profile's cluster, with the credentials for `access` read from the environment.
+ * @param {object} config - From loadAppConfig.
+ * @param {'read'|'write'} access - index.js reads, dbUpdateScript.js writes.
+ * @param {object} [env]
+ * @returns {string}
+ * @throws {ConfigError} When the profile has credentials for this access and their variables are not set.
+ */
+export function buildMongoUri(config, access, env = process.env) {
+    const { scheme, host, options, credentials } = config.mongodb;
+    const credential = credentials?.[access];
+    let auth = '';
+    if (credential) {
+        const missing = [credential.username_env, credential.password_env].filter(name => !env[name]);
+        if (missing.length > 0) {
+            throw new ConfigError([`${missing.join(' and ')} must be set for ${access} access (profile '${config.profile}', mongodb.credentials.${access})`]);
+        }
+        auth = `${encodeURIComponent(env[credential.username_env])}:${encodeURIComponent(env[credential.password_env])}@`;
+    }
+    return `${scheme}://${auth}${host}${options ? `/?${options}` : ''}`;
+}
+
+/**
+ * Values to mask in logs: the profile's MongoDB passwords and the API keys and tokens in SECRET_ENV_VARS, raw and
+ * URL-encoded, longest first.
+ * @param {object} config - From loadAppConfig.
+ * @param {object} [env]
+ * @returns {string[]}
+ */
+export function collectSecrets(config, env = process.env) {
+    const names = [...SECRET_ENV_VARS, ...Object.values(config.mongodb.credentials || {}).map(credential => credential.password_env)];
+    const values = names.map(name => env[name]).filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH);
+    return [...new Set(values.flatMap(value => [value, encodeURIComponent(value)]))].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Masks known secrets and the password part of any user:password@ URI.
+ * @param {string} text
+ * @param {string[]} [secrets] - From collectSecrets.
+ * @returns {string}
+ */
+export function redactSecrets(text, secrets = []) {
+    let redacted = String(text).replace(URI_CREDENTIALS, `$1:${REDACTED}@`);
+    for (const secret of secrets) redacted = redacted.split(secret).join(REDACTED);
+    return redacted;
+}
+
+// Objects (errors included) are only replaced by their redacted text when they contain a secret.
+function redactLogArgument(argument, secrets) {
+    if (typeof argument === 'string') return redactSecrets(argument, secrets);
+    if (argument === null || typeof argument !== 'object') return argument;
+    const text = util.inspect(argument, { depth: 6 });
+    const redacted = redactSecrets(text, secrets);
+    return redacted === text ? argument : redacted;
+}
+
+/**
+ * Routes console.log/info/warn/error/debug through redactSecrets. Calling it again replaces the secret list.
+ * @param {string[]} secrets - From collectSecrets.
+ */
+export function installLogRedaction(secrets) {
+    for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+        const original = console[method].unredacted || console[method].bind(console);
+        const redacting = (...args) => original(...args.map(argument => redactLogArgument(argument, secrets)));
+        redacting.unredacted = original;
+        console[method] = redacting;
+    }
+}
@@ -0,0 +1,502 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+import { SelectionError, parseDateRange, parseInvoiceIds, parseRawFilter } from './invoiceSelection.js';
+import { PdfPageRangeError, parsePdfPageRange } from './pdfPages.js';
+
+/**
+ * Process exit codes for headless runs, so cron jobs and wrapper scripts can react to the outcome.
+ */
+export const EXIT_CODES = {
+    SUCCESS: 0,  // Cycle finished (including "nothing matched the query").
+    FAILURE: 1,  // Fatal error: DB connection, unexpected exception, etc.
+    USAGE: 2,    // Bad arguments or run file.
+    PARTIAL: 3   // Cycle finished but some downloads or analyses failed.
+};
+
+export const CLI_USAGE = `
+Usage:
+  node index.js                       Interactive mode (default when no arguments are given)
+  node index.js run [flags]           Run one fetch -> download -> analyze cycle without prompts
+  node index.js resume                Continue an interrupted analysis run from data/analysisRunState.json
+  node index.js cache <action>        Manage the PDF extraction cache (data/extraction_cache)
+  node index.js restore <archive>     Re-insert documents from an archive in data/archives [--db <name>] [--yes]
+  node index.js report [--out <path>] Write the HTML report of the last analysis run (default data/analysisReport.html)
+  node index.js export [flags]        Export fetched invoices and analysis results as spreadsheets (default data/exports)
+  node index.js review [flags]        Local web console to approve, edit or reject suggested fixes
+  node index.js eval [flags]          Score prompts and models against a labeled fixture set (see evalHarness.js)
+  node index.js prompts               Validate the prompt templates (prompt_templates/) and list them with their overrides
+  node index.js help                  Show this message
+
+Run flags:
+  --run-file <path>        JSON or YAML run file (flags below override its values)
+  --db <name,...|all>      Database(s) to query (default dentira); several run one sweep over all of them
+  --group-id <id,...>      group_id(s) to fetch invoices for (required); 'all' for every group. Prefix an id with
+                           its database (canada:g7) to give databases different groups; unprefixed ids apply to
+                           every database that has no prefixed ones
+  --options <a,b,...>      Report options, e.g. ITEM_UNMATCHED,PO_NOT_FOUND
+  --exception-types <a,..> Other exception types to fetch, each analyzed as its own report type
+                           (at least one option or exception type is required)
+  --suppliers <a,b,...>    Optional supplier filter
+  --inv-date <from..to>    Only invoices dated in this range, e.g. 2024-01-01..2024-03-31 (either side optional)
+  --created-at <from..to>  Only invoices created in this range
+  --inv-nums <a,b,...>     Only these invoice numbers
+  --ids <a,b,...>          Only these invoice _ids
+  --inv-sources <a,b,...>  Only these inv_source values
+  --filter <json>          Extra MongoDB filter (Extended JSON), ANDed with the rest; query operators only
+  --preview                Print the queries and matching counts, then stop without fetching
+  --clear                  Clear previously generated data before fetching
+  --download               Download invoice files for the fetched data
+  --storage <name>         Where invoice files are read from: s3, s3-compatible or local (default: the profile's backend)
+  --analyze <n|all>        Analyze the first n fetched invoices (omit to skip analysis)
+  --provider <name>        Model provider for this run: google, openai (OpenAI-compatible/Ollama) or mock
+  --model <name>           Model name for the selected provider
+  --resume                 Keep earlier results and skip invoices already analyzed with the same prompt template and model
+  --explain-duplicates     Ask the model about DUPLICATE_INVOICE invoices the local checks find ambiguous
+  --no-pdf                 Do not include PDF text in the AI analysis
+  --pdf-pages <range>      PDF pages to extract, e.g. 1-3,7 or 2- (default: all pages)
+  --pdf-page-limit <n>     Process at most n of the selected pages (the last one is always kept)
+  --show-delete-query      Print deleteMany queries for the fetched invoices (nothing is deleted)
+  --archive-and-delete     Archive the fetched invoices to data/archives, then delete exactly those _ids
+                           (single database runs only)
+  --confirm-delete <n>     Required with --archive-and-delete: must equal the number of archived documents
+
+Export flags:
+  --format <csv|xlsx|both> One CSV per table, or one workbook with a sheet per table (default xlsx)
+  --out <dir>              Output directory
+
+Review flags:
+  --port <n>               Port to listen on (default 8787)
+  --host <addr>            Address to bind (default 127.0.0.1; the console has no authentication)
+
+Eval flags:
+  --fixtures <dir>         Fixture set (default eval_fixtures)
+  --provider <name>        Model provider to evaluate (default MODEL_PROVIDER); mock replays <fixtures>/mockResponses.json
+  --model <name>           Model name for the provider
+  --templates <dir>        Prompt templates to evaluate (default prompt_templates)
+  --compare-provider <name>, --compare-model <name>, --compare-templates <dir>
+                           Evaluate a second variant that differs in these settings and show both side by side
+  --no-pdf                 Leave the PDF text out of the prompts
+  --out <path>             Per-case results as JSON (default data/evalReport.json)
+
+Cache actions:
+  list                     List cached extractions (source file, pages, OCR pages, settings, last use)
+  stats                    Entry count and total size
+  prune                    Remove entries not used for --older-than <days> (default 30);
+                           with --orphans, remove entries whose PDF is not in the download manifest instead
+  invalidate               Remove the entries for --file <pdf path>, or every entry with --all
+
+Configuration:
+  Cluster, collection, databases, storage and timing come from a profile in config.yaml (see appConfig.js).
+  APP_PROFILE              Profile to use (default: the file's default_profile)
+  APP_CONFIG_FILE          Another config file
+  Credentials are read from the environment variables the profile names (e.g. MONGO_USERNAME, MONGO_PASSWORD).
+`;
+
+/**
+ * Raised for invalid command lines or run files; mapped to EXIT_CODES.USAGE.
+ */
+export class CliUsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliUsageError';
+    }
+}
+
+const RUN_FLAG_SPEC = {
+    'run-file': { type: 'string' },
+    'db': { type: 'string' },
+    'group-id': { type: 'string' },
+    'options': { type: 'string' },
+    'suppliers': { type: 'string' },
+    'exception-types': { type: 'string' },
+    'inv-date': { type: 'string' },
+    'created-at': { type: 'string' },
+    'inv-nums': { type: 'string' },
+    'ids': { type: 'string' },
+    'inv-sources': { type: 'string' },
+    'filter': { type: 'string' },
+    'preview': { type: 'boolean' },
+    'clear': { type: 'boolean' },
+    'download': { type: 'boolean' },
+    'storage': { type: 'string' },
+    'analyze': { type: 'string' },
+    'provider': { type: 'string' },
+    'model': { type: 'string' },
+    'resume': { type: 'boolean' },
+    'explain-duplicates': { type: 'boolean' },
+    'no-pdf': { type: 'boolean' },
+    'pdf-pages': { type: 'string' },
+    'pdf-page-limit': { type: 'string' },
+    'show-delete-query': { type: 'boolean' },
+    'archive-and-delete': { type: 'boolean' },
+    'confirm-delete': { type: 'string' },
+    'help': { type: 'boolean', short: 'h' }
+};
+
+const CACHE_ACTIONS = ['list', 'stats', 'prune', 'invalidate'];
+const CACHE_FLAG_SPEC = {
+    'older-than': { type: 'string' },
+    'orphans': { type: 'boolean' },
+    'file': { type: 'string' },
+    'all': { type: 'boolean' }
+};
+
+/**
+ * Parses process arguments into a command descriptor.
+ * No arguments means interactive mode; flags without a subcommand are treated as `run`.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{ name: string, flags: object, positionals: string[] }}
+ */
+export function parseCommandLine(argv) {
+    if (!argv || argv.length === 0) {
+        return { name: 'interactive', flags: {}, positionals: [] };
+    }
+
+    let name = 'run';
+    let rest = argv;
+    if (!argv[0].startsWith('-')) {
+        name = argv[0];
+        rest = argv.slice(1);
+    }
+
+    if (name === 'help') {
+        return { name, flags: {}, positionals: [] };
+    }
+    if (name === 'resume' || name === 'prompts') {
+        if (rest.length > 0) throw new CliUsageError(`'${name}' takes no arguments.`);
+        return { name, flags: {}, positionals: [] };
+    }
+    if (name === 'cache') {
+        return parseCacheCommand(rest);
+    }
+    if (name === 'restore') {
+        return parseRestoreCommand(rest);
+    }
+    if (name === 'report') {
+        return parseReportCommand(rest);
+    }
+    if (name === 'export') {
+        return parseExportCommand(rest);
+    }
+    if (name === 'review') {
+        return parseReviewCommand(rest);
+    }
+    if (name === 'eval') {
+        return parseEvalCommand(rest);
+    }
+    if (name !== 'run') {
+        throw new CliUsageError(`Unknown command: ${name}`);
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options: RUN_FLAG_SPEC, allowPositionals: false, strict: true });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+    if (parsed.values.help) {
+        return { name: 'help', flags: {}, positionals: [] };
+    }
+    return { name, flags: parsed.values, positionals: parsed.positionals };
+}
+
+function parseCacheCommand(args) {
+    const [action, ...rest] = args;
+    if (!CACHE_ACTIONS.includes(action)) {
+        throw new CliUsageError(`cache expects one of: ${CACHE_ACTIONS.join(', ')}.`);
+    }
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options: CACHE_FLAG_SPEC, allowPositionals: false, strict: true });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+
+    const flags = parsed.values;
+    if (flags['older-than'] !== undefined) {
+        const days = Number(flags['older-than']);
+        if (!Number.isFinite(days) || days < 0) throw new CliUsageError(`--older-than expects a number of days, got '${flags['older-than']}'.`);
+        flags['older-than'] = days;
+    }
+    if (action === 'invalidate' && !flags.file === !flags.all) {
+        throw new CliUsageError('cache invalidate needs exactly one of --file <pdf path> or --all.');
+    }
+    return { name: 'cache', action, flags, positionals: [] };
+}
+
+function parseRestoreCommand(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: { db: { type: 'string' }, yes: { type: 'boolean' } }, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+    if (parsed.positionals.length !== 1) {
+        throw new CliUsageError('restore expects exactly one archive path.');
+    }
+    return { name: 'restore', flags: parsed.values, positionals: parsed.positionals };
+}
+
+function parseReportCommand(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: { out: { type: 'string' } }, allowPositionals: false, strict: true });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+    return { name: 'report', flags: parsed.values, positionals: [] };
+}
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'both'];
+
+function parseExportCommand(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: { format: { type: 'string' }, out: { type: 'string' } }, allowPositionals: false, strict: true });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+    if (parsed.values.format !== undefined && !EXPORT_FORMATS.includes(parsed.values.format)) {
+        throw new CliUsageError(`--format expects one of: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+    return { name: 'export', flags: parsed.values, positionals: [] };
+}
+
+function parseReviewCommand(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: { port: { type: 'string' }, host: { type: 'string' } }, allowPositionals: false, strict: true });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+    const flags = parsed.values;
+    if (flags.port !== undefined) {
+        const port = Number(flags.port);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) throw new CliUsageError(`--port expects a port number, got '${flags.port}'.`);
+        flags.port = port;
+    }
+    return { name: 'review', flags, positionals: [] };
+}
+
+const EVAL_FLAG_SPEC = {
+    'fixtures': { type: 'string' },
+    'provider': { type: 'string' },
+    'model': { type: 'string' },
+    'templates': { type: 'string' },
+    'compare-provider': { type: 'string' },
+    'compare-model': { type: 'string' },
+    'compare-templates': { type: 'string' },
+    'no-pdf': { type: 'boolean' },
+    'out': { type: 'string' }
+};
+
+function parseEvalCommand(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: EVAL_FLAG_SPEC, allowPositionals: false, strict: true });
+    } catch (error) {
+        throw new CliUsageError(error.message);
+    }
+    return { name: 'eval', flags: parsed.values, positionals: [] };
+}
+
+/**
+ * Reads a JSON or YAML run file. The format is picked from the extension (.json, .yml, .yaml).
+ * @param {string} filePath - Path to the run file.
+ * @returns {Promise<object>} The parsed run definition.
+ */
+async function readRunFile(filePath) {
+    let raw;
+    try {
+        raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new CliUsageError(`Could not read run file ${filePath}: ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+        const parsed = (extension === '.yml' || extension === '.yaml') ? YAML.parse(raw) : JSON.parse(raw);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('top-level value must be an object');
+        }
+        return parsed;
+    } catch (error) {
+        throw new CliUsageError(`Invalid run file ${filePath}: ${error.message}`);
+    }
+}
+
+function toList(value) {
+    if (value === undefined || value === null) return undefined;
+    if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(v => v.length > 0);
+    return String(value).split(',').map(v => v.trim()).filter(v => v.length > 0);
+}
+
+const ALL = 'all';
+
+/**
+ * Which databases a run covers and which groups in each. In a run file, `databases` may map each database to its
+ * group ids or 'all' instead of using --db / --group-id.
+ * @param {string|string[]|object|undefined} databasesValue - --db value (names or 'all') or the run file mapping.
+ * @param {string|string[]|undefined} groupIdsValue - --group-id value; entries may be prefixed with a database.
+ * @param {string[]} allowedDatabases - Valid database names.
+ * @returns {Array<{ database_name: string, group_ids: string[]|null }>} One target per database; group_ids is null
+ *   for every group.
+ */
+function resolveTargets(databasesValue, groupIdsValue, allowedDatabases) {
+    const groupsByDatabase = {};
+    let databaseNames;
+    if (databasesValue && typeof databasesValue === 'object' && !Array.isArray(databasesValue)) {
+        databaseNames = Object.keys(databasesValue);
+        for (const [databaseName, groups] of Object.entries(databasesValue)) groupsByDatabase[databaseName] = toList(groups) || [];
+    } else {
+        const names = toList(databasesValue) || ['dentira'];
+        databaseNames = names.some(name => name.toLowerCase() === ALL) ? [...allowedDatabases] : [...new Set(names)];
+    }
+    const unknownDatabases = databaseNames.filter(name => !allowedDatabases.includes(name));
+    if (unknownDatabases.length > 0 || databaseNames.length === 0) {
+        throw new CliUsageError(`Unknown database '${unknownDatabases.join(', ')}'. Expected one or more of: ${allowedDatabases.join(', ')} (or 'all').`);
+    }
+
+    const sharedGroups = [];
+    for (const entry of toList(groupIdsValue) || []) {
+        const separator = entry.indexOf(':');
+        const prefix = separator > 0 ? entry.slice(0, separator).trim() : null;
+        if (!prefix || !allowedDatabases.includes(prefix)) {
+            sharedGroups.push(entry);
+            continue;
+        }
+        if (!databaseNames.includes(prefix)) {
+            throw new CliUsageError(`--group-id '${entry}' is for database '${prefix}', which is not part of this run (${databaseNames.join(', ')}).`);
+        }
+        (groupsByDatabase[prefix] ||= []).push(entry.slice(separator + 1).trim());
+    }
+
+    return databaseNames.map(databaseName => {
+        const groups = groupsByDatabase[databaseName]?.length > 0 ? groupsByDatabase[databaseName] : sharedGroups;
+        if (groups.length === 0) {
+            throw new CliUsageError(`A group_id is required for database '${databaseName}' (--group-id <id>, ${databaseName}:<id> or 'all', or group_id in the run file).`);
+        }
+        return { database_name: databaseName, group_ids: groups.some(group => group.toLowerCase() === ALL) ? null : [...new Set(groups)] };
+    });
+}
+
+function parseAnalyzeCount(value) {
+    if (value === undefined || value === null || value === false) return null;
+    const valueStr = String(value).trim().toLowerCase();
+    if (valueStr === 'all' || value === true) return 'all';
+    const number = Number(valueStr);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new CliUsageError(`--analyze expects a non-negative integer or 'all', got '${value}'.`);
+    }
+    return number;
+}
+
+/**
+ * Merges the run file (if any) with command-line flags into the same shape the interactive prompts produce.
+ * @param {object} flags - Parsed flags from parseCommandLine.
+ * @param {{ databases: string[], selectionOptions: string[], modelProviders: string[], storageBackends: string[] }} allowed - Valid databases, report options, providers and storage backends.
+ * @returns {Promise<object>} Run inputs for runAnalysisCycle.
+ */
+export async function resolveRunInputs(flags, allowed) {
+    const runFile = flags['run-file'] ? await readRunFile(flags['run-file']) : {};
+    const pick = (flagName, ...fileKeys) => {
+        if (flags[flagName] !== undefined) return flags[flagName];
+        for (const key of fileKeys) {
+            if (runFile[key] !== undefined) return runFile[key];
+        }
+        return undefined;
+    };
+
+    const targets = resolveTargets(pick('db', 'databases', 'database', 'database_name'), pick('group-id', 'group_ids', 'group_id'), allowed.databases);
+
+    const selectedOptions = toList(pick('options', 'options', 'selected_options')) || [];
+    const unknownOptions = selectedOptions.filter(option => !allowed.selectionOptions.includes(option));
+    if (unknownOptions.length > 0) {
+        throw new CliUsageError(`Unknown report option(s): ${unknownOptions.join(', ')}. Expected: ${allowed.selectionOptions.join(', ')}. Other exception types go in --exception-types.`);
+    }
+    const exceptionTypes = toList(pick('exception-types', 'exception_types')) || [];
+    const options = [...new Set([...selectedOptions, ...exceptionTypes])];
+    if (options.length === 0) {
+        throw new CliUsageError('Choose at least one report option or exception type (--options / --exception-types, or options in the run file).');
+    }
+
+    const suppliers = toList(pick('suppliers', 'suppliers')) || [];
+    let selection;
+    try {
+        selection = {
+            options,
+            suppliers,
+            inv_sources: toList(pick('inv-sources', 'inv_sources')) || [],
+            inv_nums: toList(pick('inv-nums', 'inv_nums')) || [],
+            invoice_ids: parseInvoiceIds(toList(pick('ids', 'ids', 'invoice_ids'))),
+            inv_date: parseDateRange(pick('inv-date', 'inv_date'), 'inv_date'),
+            created_at: parseDateRange(pick('created-at', 'created_at'), 'created_at'),
+            raw_filter: parseRawFilter(pick('filter', 'filter'))
+        };
+    } catch (error) {
+        if (!(error instanceof SelectionError)) throw error;
+        throw new CliUsageError(error.message);
+    }
+    const numToAnalyze = parseAnalyzeCount(pick('analyze', 'analyze', 'num_to_analyze'));
+    const modelProvider = pick('provider', 'provider', 'model_provider');
+    if (modelProvider !== undefined && !allowed.modelProviders.includes(modelProvider)) {
+        throw new CliUsageError(`Unknown model provider '${modelProvider}'. Expected one of: ${allowed.modelProviders.join(', ')}.`);
+    }
+    let deleteMode = 'none';
+    if (pick('archive-and-delete', 'archive_and_delete') || runFile.delete_mode === 'archive_delete') deleteMode = 'archive_delete';
+    else if (pick('show-delete-query', 'show_delete_query', 'delete_after_fetch') || runFile.delete_mode === 'show_query') deleteMode = 'show_query';
+    if (deleteMode === 'archive_delete' && targets.length > 1) {
+        throw new CliUsageError('--archive-and-delete takes one database per run, so --confirm-delete counts a single database. Use --show-delete-query for a sweep.');
+    }
+    const confirmDelete = pick('confirm-delete', 'confirm_delete');
+    if (confirmDelete !== undefined && !/^\d+$/.test(String(confirmDelete))) {
+        throw new CliUsageError(`--confirm-delete expects the number of documents to delete, got '${confirmDelete}'.`);
+    }
+
+    const storageBackend = pick('storage', 'storage', 'storage_backend');
+    if (storageBackend !== undefined && !allowed.storageBackends.includes(storageBackend)) {
+        throw new CliUsageError(`Unknown storage backend '${storageBackend}'. Expected one of: ${allowed.storageBackends.join(', ')}.`);
+    }
+    const includePdf = flags['no-pdf'] ? false : runFile.include_pdf_content ?? runFile.include_pdf ?? true;
+
+    const pdfExtraction = {};
+    const pageRange = pick('pdf-pages', 'pdf_pages');
+    if (pageRange !== undefined && String(pageRange).trim() !== '') {
+        try {
+            parsePdfPageRange(pageRange);
+        } catch (error) {
+            if (!(error instanceof PdfPageRangeError)) throw error;
+            throw new CliUsageError(error.message);
+        }
+        pdfExtraction.pageRange = String(pageRange).trim();
+    }
+    const pageLimit = pick('pdf-page-limit', 'pdf_page_limit');
+    if (pageLimit !== undefined) {
+        const limit = Number(pageLimit);
+        if (!Number.isInteger(limit) || limit < 0) {
+            throw new CliUsageError(`--pdf-page-limit expects a non-negative integer, got '${pageLimit}'.`);
+        }
+        pdfExtraction.pageLimit = limit;
+    }
+
+    return {
+        clear_previous_data: Boolean(pick('clear', 'clear_previous_data')),
+        targets,
+        selection,
+        preview_only: Boolean(pick('preview', 'preview')),
+        delete_mode: deleteMode,
+        confirm_delete: confirmDelete,
+        download_files: Boolean(pick('download', 'download', 'download_files')),
+        storage_backend: storageBackend,
+        perform_analysis: numToAnalyze !== null,
+        include_pdf_content: Boolean(includePdf),
+        pdf_extraction: pdfExtraction,
+        model_provider: modelProvider,
+        model_name: pick('model', 'model', 'model_name'),
+        resume: Boolean(pick('resume', 'resume')),
+        explain_duplicates: Boolean(pick('explain-duplicates', 'explain_duplicates')),
+        num_to_analyze: numToAnalyze
+    };
+}
@@ -3,37 +3,53 @@ import path from 'path';
 import inquirer from 'inquirer';
 import dotenv from 'dotenv';
 import colors from 'colors';
-import { MongoClient, ObjectId } from 'mongodb';
+import { parseArgs } from 'util';
+import { MongoClient, ObjectId, BSON } from 'mongodb';
+import { REVIEW_DECISIONS_FILE_NAME, readReviewDecisions, getReviewDecision, recordReviewDecision } from './reviewDecisions.js';
+import { validateSuggestedFix } from './responseSchemas.js';
+import { ConfigError, loadAppConfig, buildMongoUri, collectSecrets, installLogRedaction } from './appConfig.js';
+
+const { EJSON } = BSON;
 
 // Load environment variables from .env file
 dotenv.config();
 
 // --- Configuration ---
-const MONGODB_URI = `mongodb+srv://${process.env.MONGO_USERNAME_WRITEACCESS}:${encodeURIComponent(process.env.MONGO_PASSWORD_WRITEACCESS || '')}@cluster0.n1c8q.mongodb.net`;
-const COLLECTION_NAME = 'Invoices'; 
+// The same config.yaml profile as index.js (APP_PROFILE, see appConfig.js); updates use its write credentials.
+let APP_CONFIG;
+try {
+    APP_CONFIG = await loadAppConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message.red);
+    process.exit(1);
+}
+installLogRedaction(collectSecrets(APP_CONFIG));
+
+const COLLECTION_NAME = APP_CONFIG.mongodb.collection;
 
 const PROJECT_ROOT_OUTPUT_DIR = path.join(process.cwd(), 'data');
 const ANALYSIS_RESULTS_FILE = path.join(PROJECT_ROOT_OUTPUT_DIR, 'analysisResults.json');
 const UPDATE_PLAN_FILE = path.join(PROJECT_ROOT_OUTPUT_DIR, 'updatePlan.json');
 const UPDATE_STATS_FILE = path.join(PROJECT_ROOT_OUTPUT_DIR, 'updateStats.json');
+const UPDATE_JOURNAL_DIR = path.join(PROJECT_ROOT_OUTPUT_DIR, 'update_journal');
+const REVIEW_DECISIONS_FILE = path.join(PROJECT_ROOT_OUTPUT_DIR, REVIEW_DECISIONS_FILE_NAME); // Written by the review console (index.js review)
 
-const CONFIDENCE_THRESHOLD = 90; 
-const DATABASES = ['dentira', 'canada', 'australia', 'nz']; // Define DATABASES if not already global
+const CONFIDENCE_THRESHOLD = 90; // Only applies to fixes nobody has reviewed yet
+const DATABASES = APP_CONFIG.mongodb.databases;
 
 // --- Global MongoDB Client ---
 let mongoClient; 
 
 /**
  * Initializes the MongoDB connection.
+ * @throws {ConfigError} When the profile's write credentials are not set.
  */
 async function initializeDbConnection() {
-    if (!MONGODB_URI) {
-        console.error("MongoDB URI not configured. Cannot initialize connection.".red);
-        throw new Error("MongoDB URI not configured.");
-    }
     if (!mongoClient || !mongoClient.topology || !mongoClient.topology.isConnected()) {
-        console.log("\nConnecting to MongoDB for update session...".cyan);
-        mongoClient = new MongoClient(MONGODB_URI);
+        const mongoUri = buildMongoUri(APP_CONFIG, 'write');
+        console.log(`\nConnecting to MongoDB at ${APP_CONFIG.mongodb.host} (profile ${APP_CONFIG.profile}) for update session...`.cyan);
+        mongoClient = new MongoClient(mongoUri);
         try {
             await mongoClient.connect();
             console.log("Successfully connected to MongoDB for this update session.".green);
@@ -82,40 +98,253 @@ async function readAnalysisResults() {
 }
 
 /**
- * Filters analysis results and prepares an update plan.
+ * Returns a filter clause that only matches while `field` still holds the value seen at analysis time.
+ * Empty values match missing, null and "" alike.
+ * @param {string} field - Document field name.
+ * @param {*} currentValue - Value captured in original_data_snippet.
+ * @returns {object} Filter clause.
+ */
+function currentValueGuard(field, currentValue) {
+    if (currentValue === undefined || currentValue === null || currentValue === '') {
+        return { $or: [{ [field]: { $exists: false } }, { [field]: "" }, { [field]: null }] };
+    }
+    return { [field]: currentValue };
+}
+
+/**
+ * Targets the exact document that was analysed, at the version that was analysed.
+ * Analysis results carry updated_at as an ISO string (null when the document had none). Documents may store it as a
+ * Date or as that same ISO string, so both representations match.
+ * @param {object} item - Update plan item.
+ * @returns {object} Filter clause.
+ */
+function invoiceVersionFilter(item) {
+    return {
+        _id: new ObjectId(item._id),
+        updated_at: item.updated_at ? { $in: [new Date(item.updated_at), item.updated_at] } : null
+    };
+}
+
+/**
+ * The updated_at to write, in the representation the document already uses: an ISO string stays a string,
+ * anything else (a Date, or no value) becomes a Date.
+ * @param {*} storedValue - updated_at as read from the document.
+ * @returns {Date|string}
+ */
+function nextUpdatedAt(storedValue) {
+    return typeof storedValue === 'string' ? new Date().toISOString() : new Date();
+}
+
+/**
+ * Builds the filter for scalar-field updates: document version, and every changed field unchanged.
+ * @param {object} item - Update plan item.
+ * @returns {object} MongoDB filter.
+ */
+function buildScalarUpdateFilter(item) {
+    return {
+        ...invoiceVersionFilter(item),
+        $and: item.changes.map(change => currentValueGuard(change.field, change.current))
+    };
+}
+
+function buildScalarUpdateDoc(item, updatedAt) {
+    const $set = { updated_at: updatedAt };
+    item.changes.forEach(change => { $set[change.field] = change.suggested; });
+    return { update: { $set }, options: {} };
+}
+
+/**
+ * Plans a single-field fix such as { po_num: "..." }. Returns null when the suggestion matches the current value.
+ */
+function planSingleFieldChange(field) {
+    return (result, snapshot) => {
+        const suggested = result.suggested_fix_data?.[field];
+        if (suggested === undefined || suggested === null || String(suggested).trim() === '') return null;
+        if (snapshot[field] === suggested) return null;
+        return { changes: [{ field, current: snapshot[field] ?? null, suggested }] };
+    };
+}
+
+const HEADER_AMOUNT_FIELDS = ['shipping', 'taxes', 'discount_amount', 'sub_total', 'total'];
+
+/**
+ * Per-report-type update builders.
+ * planChanges(result, snapshot) -> { changes, line_item_updates? } | null
+ * buildFilter(item) -> MongoDB filter that also guards against stale data
+ * buildUpdate(item, updatedAt) -> { update, options } for updateOne, stamping updated_at with updatedAt
+ */
+const UPDATE_BUILDERS = {
+    PENDING_CONFIRMATION: {
+        description: 'inv_num (missing invoice number)',
+        planChanges: (result, snapshot) => {
+            // Only fill a missing inv_num; never overwrite an existing one.
+            if (snapshot.inv_num) return null;
+            return planSingleFieldChange('inv_num')(result, snapshot);
+        },
+        buildFilter: buildScalarUpdateFilter,
+        buildUpdate: buildScalarUpdateDoc
+    },
+    PO_NOT_FOUND: {
+        description: 'po_num',
+        planChanges: planSingleFieldChange('po_num'),
+        buildFilter: buildScalarUpdateFilter,
+        buildUpdate: buildScalarUpdateDoc
+    },
+    UNASSIGNED: {
+        description: 'supplier',
+        planChanges: planSingleFieldChange('supplier'),
+        buildFilter: buildScalarUpdateFilter,
+        buildUpdate: buildScalarUpdateDoc
+    },
+    SHIPTOISSUE: {
+        description: 'ship_to',
+        planChanges: planSingleFieldChange('ship_to'),
+        buildFilter: buildScalarUpdateFilter,
+        buildUpdate: buildScalarUpdateDoc
+    },
+    INV_AMOUNT_VARIANCE: {
+        description: 'header amounts (shipping, taxes, discount_amount, sub_total, total)',
+        planChanges: (result, snapshot) => {
+            const fix = result.suggested_fix_data || {};
+            const changes = HEADER_AMOUNT_FIELDS
+                .filter(field => typeof fix[field] === 'number' && fix[field] !== snapshot[field])
+                .map(field => ({ field, current: snapshot[field] ?? null, suggested: fix[field] }));
+            return changes.length > 0 ? { changes } : null;
+        },
+        buildFilter: buildScalarUpdateFilter,
+        buildUpdate: buildScalarUpdateDoc
+    },
+    ITEM_UNMATCHED: {
+        description: 'line_items corrections (positional)',
+        planChanges: (result, snapshot, fileName) => {
+            const updates = result.suggested_fix_data?.line_item_updates;
+            if (!Array.isArray(updates) || updates.length === 0) return null;
+            const currentItems = snapshot.line_items || [];
+            const lineItemUpdates = [];
+            const changes = [];
+
+            for (const [updateIndex, update] of updates.entries()) {
+                const identifier = update.identifier || {};
+                const identifierKeys = Object.keys(identifier);
+                const matches = currentItems.filter(lineItem => identifierKeys.length > 0 && identifierKeys.every(key => lineItem[key] === identifier[key]));
+                if (matches.length !== 1) {
+                    console.warn(`Skipping line item update for ${fileName}: identifier ${JSON.stringify(identifier)} matched ${matches.length} line items (expected exactly 1).`.yellow);
+                    continue;
+                }
+                const corrections = Object.entries(update.corrections || {}).filter(([key, value]) => matches[0][key] !== value);
+                if (corrections.length === 0) continue;
+                lineItemUpdates.push({ identifier, corrections: Object.fromEntries(corrections) });
+                corrections.forEach(([key, value]) => {
+                    changes.push({
+                        field: `line_items[${JSON.stringify(identifier)}].${key}`, current: matches[0][key] ?? null, suggested: value,
+                        update_index: updateIndex, correction_key: key // Where the value lives in the fix, for edits during review
+                    });
+                });
+            }
+            return lineItemUpdates.length > 0 ? { changes, line_item_updates: lineItemUpdates } : null;
+        },
+        buildFilter: item => ({
+            ...invoiceVersionFilter(item),
+            // Every targeted line item must still exist with its original identifying values.
+            $and: item.line_item_updates.map(update => ({ line_items: { $elemMatch: update.identifier } }))
+        }),
+        buildUpdate: (item, updatedAt) => {
+            const $set = { updated_at: updatedAt };
+            const arrayFilters = [];
+            item.line_item_updates.forEach((update, index) => {
+                const filterName = `li${index}`;
+                Object.entries(update.corrections).forEach(([key, value]) => { $set[`line_items.$[${filterName}].${key}`] = value; });
+                const arrayFilter = {};
+                Object.entries(update.identifier).forEach(([key, value]) => { arrayFilter[`${filterName}.${key}`] = value; });
+                arrayFilters.push(arrayFilter);
+            });
+            return { update: { $set }, options: { arrayFilters } };
+        }
+    }
+};
+
+/**
+ * Confidence used for the threshold check: the fix's own confidence when the schema has one (SHIPTOISSUE),
+ * otherwise the overall answer confidence.
+ * @param {object} result - A single analysis result.
+ * @returns {number|null}
+ */
+function getFixConfidence(result) {
+    const fixConfidence = result.suggested_fix_data?.confidence;
+    if (typeof fixConfidence === 'number') return fixConfidence;
+    return typeof result.confidence === 'number' ? result.confidence : null;
+}
+
+const reviewSummary = decision => ({
+    status: 'approved', reviewer: decision.reviewer, decided_at: decision.decided_at, edited: decision.edited, note: decision.note
+});
+
+/**
+ * Prepares an update plan from the analysis results and the reviewers' decisions.
+ * Approved fixes are planned as the reviewer approved them (possibly edited) and rejected fixes are dropped.
+ * Fixes nobody has reviewed are planned only when they meet CONFIDENCE_THRESHOLD, marked review.status
+ * 'unreviewed' so the caller can leave them out.
  * @param {object} analysisResults - The parsed analysis results.
+ * @param {{ decisions: object }} reviewStore - From readReviewDecisions.
  * @returns {Array<object>} An array of update operations to be performed.
  */
-function prepareUpdatePlan(analysisResults) {
+function prepareUpdatePlan(analysisResults, reviewStore) {
     const updatePlan = [];
     if (!analysisResults || typeof analysisResults !== 'object') {
         console.warn("No valid analysis results to process for update plan.".yellow);
         return updatePlan;
     }
 
+    const skipped = { rejected: 0, below_threshold: 0 };
     for (const fileName in analysisResults) {
         const result = analysisResults[fileName];
-        if (
-            result.report_type === "SHIPTOISSUE" &&
-            result.suggested_fix_data &&
-            result.suggested_fix_data.ship_to && 
-            typeof result.suggested_fix_data.confidence === 'number' &&
-            result.suggested_fix_data.confidence >= CONFIDENCE_THRESHOLD
-        ) {
-            if (result.original_data_snippet && result.original_data_snippet.inv_num && result.original_data_snippet.group_id) { // Ensure group_id is present
-                 updatePlan.push({
-                    file_name: fileName,
-                    group_id: result.original_data_snippet.group_id, 
-                    inv_num: result.original_data_snippet.inv_num,
-                    current_ship_to: result.original_data_snippet.ship_to || null, 
-                    suggested_ship_to: result.suggested_fix_data.ship_to,
-                    confidence: result.suggested_fix_data.confidence
-                });
-            } else {
-                console.warn(`Skipping update for ${fileName} due to missing group_id or inv_num in original_data_snippet.`.yellow);
-            }
+        const builder = UPDATE_BUILDERS[result.report_type];
+        if (!builder || !result.suggested_fix_data) continue;
+
+        const decision = getReviewDecision(reviewStore, result);
+        if (decision?.decision === 'rejected') {
+            skipped.rejected++;
+            continue;
+        }
+        const confidence = getFixConfidence(result);
+        if (!decision && (confidence === null || confidence < CONFIDENCE_THRESHOLD)) {
+            skipped.below_threshold++;
+            continue;
+        }
+
+        const snapshot = result.original_data_snippet;
+        if (!snapshot || !snapshot._id) { // Results from older runs did not record the document identity
+            console.warn(`Skipping update for ${fileName} due to missing _id in original_data_snippet. Re-run the analysis.`.yellow);
+            continue;
+        }
+        if (result.database_name && !DATABASES.includes(result.database_name)) {
+            console.warn(`Skipping update for ${fileName}: unknown database '${result.database_name}'.`.yellow);
+            continue;
         }
+
+        const fix = decision ? decision.approved_fix : result.suggested_fix_data;
+        const planned = builder.planChanges({ ...result, suggested_fix_data: fix }, snapshot, fileName);
+        if (!planned) continue;
+
+        updatePlan.push({
+            result_key: fileName,
+            database_name: result.database_name || null, // Results of runs before multi-database sweeps have none.
+            file_name: snapshot.file_name || fileName,
+            report_type: result.report_type,
+            _id: snapshot._id,
+            updated_at: snapshot.updated_at ?? null,
+            group_id: snapshot.group_id,
+            inv_num: snapshot.inv_num || null,
+            reason: result.reason_from_gemma,
+            confidence,
+            suggested_fix: fix,
+            review: decision ? reviewSummary(decision) : { status: 'unreviewed' },
+            ...planned
+        });
     }
+    console.log(`Planned ${updatePlan.length} update(s): ${updatePlan.filter(item => item.review.status === 'approved').length} approved by a reviewer, ` +
+        `${updatePlan.filter(item => item.review.status === 'unreviewed').length} unreviewed with confidence >= ${CONFIDENCE_THRESHOLD}. ` +
+        `Skipped ${skipped.rejected} rejected and ${skipped.below_threshold} unreviewed below the threshold.`.cyan);
     return updatePlan;
 }
 
@@ -151,6 +380,161 @@ async function writeUpdateStatsToFile(stats) {
 }
 
 
+/**
+ * Lets the user pick which report types' fixes to apply.
+ * @param {Array<object>} updatePlan - The full update plan.
+ * @returns {Promise<Array<object>>} Plan items of the selected report types.
+ */
+async function askForReportTypeSelection(updatePlan) {
+    const countsByType = {};
+    updatePlan.forEach(item => { countsByType[item.report_type] = (countsByType[item.report_type] || 0) + 1; });
+
+    const { report_types } = await inquirer.prompt([
+        {
+            type: 'checkbox',
+            name: 'report_types',
+            message: 'Select which report types to apply fixes for:',
+            choices: Object.keys(countsByType).map(type => ({
+                name: `${type}: ${UPDATE_BUILDERS[type].description} (${countsByType[type]} planned)`,
+                value: type,
+                checked: true
+            }))
+        }
+    ]);
+    return updatePlan.filter(item => report_types.includes(item.report_type));
+}
+
+/**
+ * Unreviewed fixes are left out unless the user opts in; approved fixes are always kept.
+ * @param {Array<object>} updatePlan - Plan items after report type selection.
+ * @returns {Promise<Array<object>>}
+ */
+async function askForUnreviewedInclusion(updatePlan) {
+    const unreviewedCount = updatePlan.filter(item => item.review.status === 'unreviewed').length;
+    if (unreviewedCount === 0) return updatePlan;
+
+    const { includeUnreviewed } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'includeUnreviewed',
+            message: `${unreviewedCount} planned fix(es) have not been reviewed (confidence >= ${CONFIDENCE_THRESHOLD}). Apply them without review?`,
+            default: false
+        }
+    ]);
+    return includeUnreviewed ? updatePlan : updatePlan.filter(item => item.review.status !== 'unreviewed');
+}
+
+const formatReviewValue = value => (value === undefined || value === null || value === '' ? '(empty)' : JSON.stringify(value));
+
+function printPlanItemForReview(item, position, total) {
+    console.log(`\n[${position}/${total}] ${item.report_type}: ${item.inv_num || item.file_name} (_id ${item._id}, ${item.database_name})`.bold.cyan);
+    console.log(`AI reason: ${item.reason}`);
+    console.log(`Confidence: ${item.confidence ?? 'n/a'}` + (item.review.status === 'approved'
+        ? ` | approved by ${item.review.reviewer || 'unknown'} at ${item.review.decided_at}${item.review.edited ? ' (edited)' : ''}`
+        : ' | not reviewed yet'));
+    item.changes.forEach(change => {
+        console.log(`  ${change.field}: ` + `${formatReviewValue(change.current)}`.red + ' -> ' + `${formatReviewValue(change.suggested)}`.green);
+    });
+}
+
+/**
+ * Asks for a new value per changed field and returns the edited fix, or null when it fails the fix schema.
+ * Values keep the type of the suggestion (numbers stay numbers).
+ */
+async function askForEditedFix(item) {
+    const fix = structuredClone(item.suggested_fix);
+    for (const change of item.changes) {
+        const { value } = await inquirer.prompt([{
+            type: 'input', name: 'value', message: `New value for ${change.field}:`, default: String(change.suggested ?? ''),
+            validate: input => typeof change.suggested !== 'number' || (input.trim() !== '' && Number.isFinite(Number(input))) || 'Enter a number.'
+        }]);
+        const parsed = typeof change.suggested === 'number' ? Number(value) : value.trim();
+        if (change.update_index !== undefined) {
+            fix.line_item_updates[change.update_index].corrections[change.correction_key] = parsed;
+        } else {
+            fix[change.field] = parsed;
+        }
+    }
+    const errors = validateSuggestedFix(fix, item.report_type);
+    if (errors.length > 0) {
+        console.warn(`Edited fix rejected: ${errors.join('; ')}`.yellow);
+        return null;
+    }
+    return fix;
+}
+
+/**
+ * Terminal review: steps through the plan one item at a time with a field-level diff, the AI reason and the
+ * confidence. Approvals (with any edits) and rejections are recorded in the review store, so rejected fixes are
+ * not planned again and the review console shows the same decisions. Skipped items stay unreviewed.
+ * @param {Array<object>} updatePlan - Plan items to review.
+ * @param {object} analysisResults - The parsed analysis results (the decisions are recorded against them).
+ * @returns {Promise<Array<object>>} Approved items, re-planned when values were edited.
+ */
+async function reviewUpdatePlanItems(updatePlan, analysisResults) {
+    const { reviewer } = await inquirer.prompt([{ type: 'input', name: 'reviewer', message: 'Reviewer name:', default: process.env.USER || '' }]);
+    const approvedItems = [];
+    const counts = { approved: 0, rejected: 0, skipped: 0 };
+
+    for (const [index, item] of updatePlan.entries()) {
+        const result = analysisResults[item.result_key];
+        printPlanItemForReview(item, index + 1, updatePlan.length);
+
+        let approvedItem = null;
+        let action;
+        do {
+            ({ action } = await inquirer.prompt([{
+                type: 'list', name: 'action', message: 'Decision:',
+                choices: [
+                    { name: 'Approve', value: 'approve' },
+                    { name: 'Edit value(s), then approve', value: 'edit' },
+                    { name: 'Skip (decide later)', value: 'skip' },
+                    { name: 'Reject with a note', value: 'reject' },
+                    { name: 'Stop reviewing (skip the remaining items)', value: 'stop' }
+                ]
+            }]));
+            if (action === 'approve') {
+                approvedItem = item;
+            } else if (action === 'edit') {
+                const editedFix = await askForEditedFix(item);
+                if (!editedFix) continue;
+                const replanned = UPDATE_BUILDERS[item.report_type].planChanges({ ...result, suggested_fix_data: editedFix }, result.original_data_snippet, item.result_key);
+                if (!replanned) {
+                    console.warn("The edited values match the current document; there is nothing to update.".yellow);
+                    continue;
+                }
+                approvedItem = { ...item, ...replanned, suggested_fix: editedFix };
+            }
+        } while (action === 'edit' && !approvedItem);
+
+        if (action === 'stop') {
+            counts.skipped += updatePlan.length - index;
+            break;
+        }
+        if (action === 'skip') {
+            counts.skipped++;
+            continue;
+        }
+        if (action === 'reject') {
+            const { note } = await inquirer.prompt([{
+                type: 'input', name: 'note', message: 'Why is this fix wrong?', validate: input => input.trim() !== '' || 'A note is required.'
+            }]);
+            await recordReviewDecision(REVIEW_DECISIONS_FILE, result, { decision: 'rejected', note: note.trim(), reviewer, source: 'terminal' });
+            counts.rejected++;
+            continue;
+        }
+
+        const decision = await recordReviewDecision(REVIEW_DECISIONS_FILE, result, {
+            decision: 'approved', approvedFix: approvedItem.suggested_fix, reviewer, source: 'terminal'
+        });
+        approvedItems.push({ ...approvedItem, review: reviewSummary(decision) });
+        counts.approved++;
+    }
+
+    console.log(`\nReview finished: ${counts.approved} approved, ${counts.rejected} rejected, ${counts.skipped} skipped. Decisions saved to ${REVIEW_DECISIONS_FILE}.`.cyan);
+    return approvedItems;
+}
+
 /**
  * Prompts the user for confirmation and update mode.
  * @param {number} plannedUpdateCount - Number of updates in the plan.
@@ -182,6 +566,7 @@ async function askForUpdateExecution(plannedUpdateCount) {
             name: 'mode',
             message: 'Select update mode:',
             choices: [
+                { name: 'REVIEW each planned update (approve / edit / skip / reject); only approved ones are applied.', value: 'review' },
                 { name: `Update ALL ${plannedUpdateCount} planned record(s).`, value: 'all' },
                 { name: 'Test with the FIRST record only.', value: 'first' },
                 { name: 'Cancel update.', value: 'cancel'}
@@ -198,17 +583,98 @@ async function askForUpdateExecution(plannedUpdateCount) {
     return { proceed: true, mode };
 }
 
+/**
+ * Creates a new append-only undo journal for one update session.
+ * @param {string} databaseName - Database the session updates.
+ * @returns {Promise<object>} Journal handle with sessionId, filePath and a sequence counter.
+ */
+async function createUpdateJournal(databaseName) {
+    await fs.mkdir(UPDATE_JOURNAL_DIR, { recursive: true });
+    // The database is part of the id: a plan spanning several databases starts their sessions back to back.
+    const sessionId = `session_${new Date().toISOString().replace(/[:.]/g, '-')}_${databaseName}`;
+    const journal = { sessionId, filePath: path.join(UPDATE_JOURNAL_DIR, `${sessionId}.ndjson`), seq: 0 };
+    await appendJournalEntry(journal, { type: 'session_start', session_id: sessionId, database: databaseName, collection: COLLECTION_NAME, started_at: new Date() });
+    console.log(`Undo journal for this session: ${journal.filePath}`.grey);
+    return journal;
+}
+
+/**
+ * Appends one entry to the journal. EJSON keeps ObjectIds and Dates intact for rollback.
+ * @param {object} journal - Journal handle from createUpdateJournal.
+ * @param {object} entry - Entry to append.
+ */
+async function appendJournalEntry(journal, entry) {
+    await fs.appendFile(journal.filePath, EJSON.stringify(entry, { relaxed: false }) + '\n');
+}
+
+/**
+ * Reads every entry of a journal file.
+ * @param {string} filePath - Path to the .ndjson journal.
+ * @returns {Promise<Array<object>>} Parsed entries in write order.
+ */
+async function readJournalEntries(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    return content.split('\n').filter(line => line.trim()).map(line => EJSON.parse(line, { relaxed: false }));
+}
+
+/**
+ * Top-level document fields touched by an update ("line_items.$[li0].qty" -> "line_items").
+ * @param {object} updateDoc - The update document.
+ * @returns {string[]} Field names.
+ */
+function getTopLevelUpdatedFields(updateDoc) {
+    const fields = new Set();
+    Object.values(updateDoc).forEach(operatorFields => Object.keys(operatorFields).forEach(key => fields.add(key.split('.')[0])));
+    return [...fields];
+}
+
+/**
+ * Captures the given fields of a document; fields that do not exist are listed in `missing`.
+ */
+function captureFieldValues(doc, fields) {
+    const values = {};
+    const missing = [];
+    fields.forEach(field => {
+        if (Object.prototype.hasOwnProperty.call(doc, field)) values[field] = doc[field];
+        else missing.push(field);
+    });
+    return { values, missing };
+}
+
+// Relaxed output so a journaled Double(5) and a driver-returned 5 compare equal.
+const sameValue = (a, b) => EJSON.stringify(a ?? null) === EJSON.stringify(b ?? null);
+
+/**
+ * Explains why a version-guarded filter matched nothing.
+ * @param {Collection} collection - The invoices collection.
+ * @param {object} item - Update plan item.
+ * @returns {Promise<string>} Human-readable conflict reason.
+ */
+async function describeUpdateConflict(collection, item) {
+    const current = await collection.findOne({ _id: new ObjectId(item._id) }, { projection: { updated_at: 1 } });
+    if (!current) return 'Document no longer exists.';
+    const analysedAt = item.updated_at ? new Date(item.updated_at).toISOString() : 'none';
+    const currentAt = current.updated_at ? new Date(current.updated_at).toISOString() : 'none';
+    if (analysedAt !== currentAt) return `Document was modified after analysis (updated_at ${analysedAt} -> ${currentAt}).`;
+    return 'The fields being fixed no longer hold the values seen at analysis time.';
+}
+
 /**
  * Executes database updates based on the plan and user choice.
  * @param {MongoClient} client - The connected MongoDB client instance.
  * @param {Array<object>} updatePlan - The list of updates to perform.
  * @param {string} mode - 'all' or 'first'.
  * @param {string} databaseName - The name of the database to connect to.
+ * @param {object} journal - Undo journal the before/after images are appended to.
  */
-async function executeDatabaseUpdates(client, updatePlan, mode, databaseName) {
+async function executeDatabaseUpdates(client, updatePlan, mode, databaseName, journal) {
     let successCount = 0;
     let failureCount = 0;
     const failedUpdates = [];
+    const conflicts = [];
+    // updated_at this session wrote, by _id. One invoice can have fixes from several report types (SHIPTOISSUE
+    // invoices are also PO_NOT_FOUND); the later ones are pinned to this version instead of the analysed one.
+    const sessionVersions = new Map();
 
     try {
         const db = client.db(databaseName);
@@ -222,36 +688,61 @@ async function executeDatabaseUpdates(client, updatePlan, mode, databaseName) {
             console.log(`Executing ALL ${itemsToUpdate.length} planned updates.`.yellow);
         }
 
-        for (const item of itemsToUpdate) {
-            console.log(`\nProcessing update for inv_num: ${item.inv_num}, group_id: ${item.group_id}`.blue);
-            const filter = {
-                group_id: item.group_id,
-                inv_num: item.inv_num,
-                "exceptions.header.exception_type": "PO_NOT_FOUND", 
-                "status": "DISPUTED",                               
-                $or: [{ ship_to: { $exists: false } }, { ship_to: "" }, { ship_to: null }, {ship_to: item.current_ship_to}] 
-            };
-            const updateDoc = {
-                $set: { ship_to: item.suggested_ship_to },
-            };
-
+        for (const plannedItem of itemsToUpdate) {
+            const item = sessionVersions.has(plannedItem._id) ? { ...plannedItem, updated_at: sessionVersions.get(plannedItem._id) } : plannedItem;
+            const invoiceLabel = item.inv_num || item.file_name;
+            console.log(`\nProcessing ${item.report_type} update for inv_num: ${invoiceLabel}, _id: ${item._id}, group_id: ${item.group_id}`.blue);
+            const builder = UPDATE_BUILDERS[item.report_type];
+            if (!builder) {
+                console.warn(`No update builder for report type ${item.report_type}. Skipping.`.yellow);
+                failedUpdates.push({ ...item, error: `No update builder for report type ${item.report_type}.` });
+                failureCount++;
+                continue;
+            }
+            const filter = builder.buildFilter(item);
             console.log("Filter:".grey, JSON.stringify(filter));
-            console.log("Update:".grey, JSON.stringify(updateDoc));
 
             try {
-                const result = await collection.updateOne(filter, updateDoc);
+                // Capture the before-image into the journal first; the filter pins _id and updated_at.
+                const journaledFields = getTopLevelUpdatedFields(builder.buildUpdate(item, null).update);
+                const projection = Object.fromEntries([...journaledFields, 'updated_at'].map(field => [field, 1]));
+                const beforeDoc = await collection.findOne(filter, { projection });
+                const updatedAt = nextUpdatedAt(beforeDoc?.updated_at);
+                const { update: updateDoc, options: updateOptions } = builder.buildUpdate(item, updatedAt);
+                console.log("Update:".grey, JSON.stringify(updateDoc), Object.keys(updateOptions).length ? JSON.stringify(updateOptions) : '');
+                const seq = ++journal.seq;
+                if (beforeDoc) {
+                    await appendJournalEntry(journal, {
+                        type: 'before_image', seq, _id: beforeDoc._id, file_name: item.file_name, inv_num: item.inv_num,
+                        report_type: item.report_type, updated_at: beforeDoc.updated_at ?? null,
+                        fields: captureFieldValues(beforeDoc, journaledFields), recorded_at: new Date()
+                    });
+                }
+
+                const result = beforeDoc
+                    ? await collection.updateOne(filter, updateDoc, updateOptions)
+                    : { matchedCount: 0, modifiedCount: 0 };
+                const changedFields = item.changes.map(change => change.field).join(', ');
                 if (result.matchedCount > 0 && result.modifiedCount > 0) {
-                    console.log(`Successfully updated ship_to for inv_num: ${item.inv_num}`.green);
+                    const afterDoc = await collection.findOne({ _id: beforeDoc._id }, { projection });
+                    await appendJournalEntry(journal, {
+                        type: 'applied', seq, _id: beforeDoc._id, updated_at: afterDoc?.updated_at ?? null,
+                        fields: captureFieldValues(afterDoc || {}, journaledFields), applied_at: new Date()
+                    });
+                    sessionVersions.set(item._id, typeof updatedAt === 'string' ? updatedAt : updatedAt.toISOString());
+                    console.log(`Successfully updated ${changedFields} for inv_num: ${invoiceLabel}`.green);
                     successCount++;
                 } else if (result.matchedCount > 0 && result.modifiedCount === 0) {
-                    console.warn(`Document found for inv_num: ${item.inv_num}, but ship_to was already '${item.suggested_ship_to}' or no change needed.`.yellow);
+                    await appendJournalEntry(journal, { type: 'not_applied', seq, _id: beforeDoc._id, reason: 'no_change' });
+                    console.warn(`Document found for inv_num: ${invoiceLabel}, but ${changedFields} already had the suggested value(s) or no change needed.`.yellow);
                 } else {
-                    console.warn(`No document matched the filter for inv_num: ${item.inv_num}. It might have been updated or changed since analysis.`.yellow);
-                    failedUpdates.push({ ...item, error: "No matching document found or no modification needed." });
-                    failureCount++;
+                    const conflictReason = await describeUpdateConflict(collection, item);
+                    if (beforeDoc) await appendJournalEntry(journal, { type: 'not_applied', seq, _id: beforeDoc._id, reason: 'conflict' });
+                    console.warn(`Conflict for inv_num: ${invoiceLabel} (_id ${item._id}): ${conflictReason} Not updated.`.yellow);
+                    conflicts.push({ ...item, error: conflictReason });
                 }
             } catch (error) {
-                console.error(`Error updating inv_num: ${item.inv_num}:`.red, error);
+                console.error(`Error updating inv_num: ${invoiceLabel}:`.red, error);
                 failedUpdates.push({ ...item, error: error.message });
                 failureCount++;
             }
@@ -260,13 +751,182 @@ async function executeDatabaseUpdates(client, updatePlan, mode, databaseName) {
         // This catch is for errors within the loop or getting db/collection, not for initial connection
         console.error("Error during database update execution loop:".red, error);
         // Mark remaining items as failed if a general error occurs mid-process
-        const remainingItems = updatePlan.length - (successCount + failureCount);
+        const remainingItems = updatePlan.length - (successCount + failureCount + conflicts.length);
         if (remainingItems > 0) {
              failureCount += remainingItems;
              // Add details for items that were not attempted
         }
     }
-    return { successCount, failureCount, failedUpdates };
+    return { successCount, failureCount, failedUpdates, conflicts };
+}
+
+
+/**
+ * Lists recorded update sessions, newest first.
+ * @returns {Promise<string[]>} Session ids.
+ */
+async function listUpdateSessions() {
+    try {
+        const files = await fs.readdir(UPDATE_JOURNAL_DIR);
+        return files.filter(file => file.endsWith('.ndjson')).map(file => path.basename(file, '.ndjson')).sort().reverse();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Pairs before-images with their applied after-images, leaving out updates that were already rolled back.
+ * @param {Array<object>} entries - Journal entries.
+ * @returns {Array<object>} Rollback candidates, most recent update first.
+ */
+function getRollbackCandidates(entries) {
+    const beforeBySeq = new Map();
+    const candidates = new Map();
+    for (const entry of entries) {
+        const seq = Number(entry.seq); // Canonical EJSON parses numbers as Int32 wrappers.
+        if (entry.type === 'before_image') beforeBySeq.set(seq, entry);
+        if (entry.type === 'applied' && beforeBySeq.has(seq)) candidates.set(seq, { before: beforeBySeq.get(seq), applied: entry });
+        if (entry.type === 'rolled_back') candidates.delete(seq);
+    }
+    return [...candidates.values()].sort((a, b) => Number(b.before.seq) - Number(a.before.seq));
+}
+
+/**
+ * Restores before-images for the selected updates of a session.
+ * A document is only restored if the updated fields and updated_at still equal what this session wrote.
+ * @param {MongoClient} client - The connected MongoDB client instance.
+ * @param {object} journal - Journal handle of the session being rolled back.
+ * @param {string} databaseName - Database recorded in the session.
+ * @param {Array<object>} candidates - Entries from getRollbackCandidates to restore.
+ * @returns {Promise<object>} Counts plus details of refused/failed restores.
+ */
+async function rollbackUpdates(client, journal, databaseName, candidates) {
+    const collection = client.db(databaseName).collection(COLLECTION_NAME);
+    let restoredCount = 0;
+    const refused = [];
+
+    for (const { before, applied } of candidates) {
+        const invoiceLabel = before.inv_num || before.file_name;
+        const fields = [...Object.keys(before.fields.values), ...before.fields.missing];
+        const projection = Object.fromEntries([...fields, 'updated_at'].map(field => [field, 1]));
+
+        try {
+            const current = await collection.findOne({ _id: before._id }, { projection });
+            if (!current) {
+                refused.push({ inv_num: invoiceLabel, _id: before._id, reason: 'Document no longer exists.' });
+                console.warn(`Refusing rollback for ${invoiceLabel}: document no longer exists.`.yellow);
+                continue;
+            }
+
+            const changedFields = fields.filter(field => {
+                const expected = applied.fields.missing.includes(field) ? undefined : applied.fields.values[field];
+                return !sameValue(current[field], expected);
+            });
+            if (changedFields.length > 0 || !sameValue(current.updated_at, applied.updated_at)) {
+                const reason = changedFields.length > 0
+                    ? `Field(s) changed again since this session: ${changedFields.join(', ')}.`
+                    : 'updated_at changed since this session.';
+                refused.push({ inv_num: invoiceLabel, _id: before._id, reason });
+                console.warn(`Refusing rollback for ${invoiceLabel}: ${reason}`.yellow);
+                continue;
+            }
+
+            const restore = {};
+            if (Object.keys(before.fields.values).length > 0) restore.$set = before.fields.values;
+            if (before.fields.missing.length > 0) restore.$unset = Object.fromEntries(before.fields.missing.map(field => [field, ""]));
+
+            // Guard on the after-image so a concurrent edit between the check and the write is not overwritten.
+            const guard = { _id: before._id, updated_at: applied.updated_at ?? null };
+            fields.forEach(field => {
+                guard[field] = applied.fields.missing.includes(field) ? { $exists: false } : applied.fields.values[field];
+            });
+
+            const result = await collection.updateOne(guard, restore);
+            if (result.matchedCount === 0) {
+                refused.push({ inv_num: invoiceLabel, _id: before._id, reason: 'Document changed during rollback.' });
+                console.warn(`Refusing rollback for ${invoiceLabel}: document changed during rollback.`.yellow);
+                continue;
+            }
+            await appendJournalEntry(journal, { type: 'rolled_back', seq: Number(before.seq), _id: before._id, rolled_back_at: new Date() });
+            console.log(`Restored ${fields.join(', ')} for inv_num: ${invoiceLabel}`.green);
+            restoredCount++;
+        } catch (error) {
+            console.error(`Error rolling back inv_num: ${invoiceLabel}:`.red, error);
+            refused.push({ inv_num: invoiceLabel, _id: before._id, reason: error.message });
+        }
+    }
+    return { restoredCount, refused };
+}
+
+/**
+ * Rollback mode: `node dbUpdateScript.js rollback [--session <id>] [--invoices <inv_num,...>]`.
+ * Without flags the session and invoices are picked interactively.
+ * @param {string[]} args - Arguments after "rollback".
+ */
+async function runRollback(args) {
+    const { values: flags } = parseArgs({ args, options: { session: { type: 'string' }, invoices: { type: 'string' } }, strict: true });
+
+    const sessions = await listUpdateSessions();
+    if (sessions.length === 0) {
+        console.log(`No update sessions found in ${UPDATE_JOURNAL_DIR}.`.yellow);
+        return;
+    }
+
+    let sessionId = flags.session;
+    if (!sessionId) {
+        ({ sessionId } = await inquirer.prompt([
+            { type: 'list', name: 'sessionId', message: 'Select the update session to roll back:', choices: sessions }
+        ]));
+    } else if (!sessions.includes(sessionId)) {
+        console.error(`Unknown update session: ${sessionId}`.red);
+        return;
+    }
+
+    const journal = { sessionId, filePath: path.join(UPDATE_JOURNAL_DIR, `${sessionId}.ndjson`) };
+    const entries = await readJournalEntries(journal.filePath);
+    const sessionStart = entries.find(entry => entry.type === 'session_start');
+    const candidates = getRollbackCandidates(entries);
+    if (!sessionStart || candidates.length === 0) {
+        console.log(`Nothing to roll back in ${sessionId}.`.yellow);
+        return;
+    }
+
+    let selected = candidates;
+    if (flags.invoices) {
+        const wanted = flags.invoices.split(',').map(value => value.trim()).filter(Boolean);
+        selected = candidates.filter(({ before }) => wanted.includes(before.inv_num) || wanted.includes(before.file_name) || wanted.includes(String(before._id)));
+    } else {
+        const { seqs } = await inquirer.prompt([{
+            type: 'checkbox', name: 'seqs', message: `Select invoices to restore (database: ${sessionStart.database}):`,
+            choices: candidates.map(({ before }) => ({
+                name: `${before.inv_num || before.file_name} [${before.report_type}] fields: ${[...Object.keys(before.fields.values), ...before.fields.missing].join(', ')}`,
+                value: Number(before.seq), checked: true
+            }))
+        }]);
+        selected = candidates.filter(({ before }) => seqs.includes(Number(before.seq)));
+    }
+
+    if (selected.length === 0) {
+        console.log("No invoices selected for rollback.".yellow);
+        return;
+    }
+
+    const { proceed } = await inquirer.prompt([{
+        type: 'confirm', name: 'proceed', default: false,
+        message: `Restore ${selected.length} invoice(s) in database '${sessionStart.database}' to their state before ${sessionId}?`
+    }]);
+    if (!proceed) {
+        console.log("Rollback aborted by user.".yellow);
+        return;
+    }
+
+    await initializeDbConnection();
+    const stats = await rollbackUpdates(mongoClient, journal, sessionStart.database, selected);
+    console.log("\n--- Rollback Summary ---".bold.cyan);
+    console.log(`Restored: ${stats.restoredCount}`.green);
+    console.log(`Refused/failed: ${stats.refused.length}`.red);
+    stats.refused.forEach(item => console.log(`  ${item.inv_num}: ${item.reason}`.yellow));
 }
 
 
@@ -277,6 +937,11 @@ async function runDbUpdateScript() {
     console.log("--- Invoice Database Updater Script ---".bold.underline.blue);
 
     try {
+        if (process.argv[2] === 'rollback') {
+            await runRollback(process.argv.slice(3));
+            return;
+        }
+
         await initializeDbConnection(); // Connect once at the start
 
         const analysisResults = await readAnalysisResults();
@@ -284,9 +949,10 @@ async function runDbUpdateScript() {
             return; 
         }
 
-        const updatePlan = prepareUpdatePlan(analysisResults);
-        await writeUpdatePlanToFile(updatePlan);
+        const fullUpdatePlan = prepareUpdatePlan(analysisResults, await readReviewDecisions(REVIEW_DECISIONS_FILE));
+        await writeUpdatePlanToFile(fullUpdatePlan);
 
+        const updatePlan = fullUpdatePlan.length > 0 ? await askForReportTypeSelection(fullUpdatePlan) : fullUpdatePlan;
         if (updatePlan.length === 0) {
             console.log("\nNo actionable updates found in the analysis results based on the criteria.".yellow);
             await writeUpdateStatsToFile({
@@ -296,46 +962,86 @@ async function runDbUpdateScript() {
             return;
         }
 
-        const dbNamePrompt = await inquirer.prompt([
-            {
-                type: 'list', name: 'database_name', message: 'Which database do these updates apply to?',
-                choices: DATABASES, default: 'dentira' 
-            }
-        ]);
-        const targetDatabaseName = dbNamePrompt.database_name;
+        // Each update goes to the database its invoice was fetched from; only results without one need asking.
+        const unroutedItems = updatePlan.filter(item => !item.database_name);
+        if (unroutedItems.length > 0) {
+            const dbNamePrompt = await inquirer.prompt([
+                {
+                    type: 'list', name: 'database_name', message: `Which database do the ${unroutedItems.length} update(s) without a recorded database apply to?`,
+                    choices: DATABASES, default: 'dentira'
+                }
+            ]);
+            unroutedItems.forEach(item => { item.database_name = dbNamePrompt.database_name; });
+        }
+        const databasesInPlan = [...new Set(updatePlan.map(item => item.database_name))];
+        console.log(`Updates by database: ${databasesInPlan.map(name => `${name} (${updatePlan.filter(item => item.database_name === name).length})`).join(', ')}`.cyan);
 
         const executionChoice = await askForUpdateExecution(updatePlan.length);
 
+        // Review mode applies exactly what was approved; otherwise unreviewed fixes need an explicit opt-in.
+        let itemsToExecute = [];
         if (executionChoice.proceed && executionChoice.mode) {
-            // Pass the global mongoClient to executeDatabaseUpdates
-            const stats = await executeDatabaseUpdates(mongoClient, updatePlan, executionChoice.mode, targetDatabaseName);
-            
+            itemsToExecute = executionChoice.mode === 'review'
+                ? await reviewUpdatePlanItems(updatePlan, analysisResults)
+                : await askForUnreviewedInclusion(updatePlan);
+            if (itemsToExecute.length === 0) console.log("\nNo approved updates to apply.".yellow);
+        }
+
+        if (itemsToExecute.length > 0) {
+            const mode = executionChoice.mode === 'first' ? 'first' : 'all';
+            if (mode === 'first') itemsToExecute = itemsToExecute.slice(0, 1);
+
+            // One session and undo journal per database, so each rollback targets a single database.
+            const sessions = [];
+            const stats = { successCount: 0, failureCount: 0, failedUpdates: [], conflicts: [] };
+            for (const databaseName of [...new Set(itemsToExecute.map(item => item.database_name))]) {
+                const journal = await createUpdateJournal(databaseName);
+                // Pass the global mongoClient to executeDatabaseUpdates
+                const databaseStats = await executeDatabaseUpdates(mongoClient, itemsToExecute.filter(item => item.database_name === databaseName), mode, databaseName, journal);
+                sessions.push({ database: databaseName, session_id: journal.sessionId, journal_file: journal.filePath });
+                stats.successCount += databaseStats.successCount;
+                stats.failureCount += databaseStats.failureCount;
+                stats.failedUpdates.push(...databaseStats.failedUpdates);
+                stats.conflicts.push(...databaseStats.conflicts);
+            }
+
             console.log("\n--- Update Execution Summary ---".bold.cyan);
-            console.log(`Updates Attempted: ${stats.successCount + stats.failureCount}`.blue);
+            const attemptedCount = stats.successCount + stats.failureCount + stats.conflicts.length;
+            console.log(`Updates Attempted: ${attemptedCount}`.blue);
             console.log(`Successful Updates: ${stats.successCount}`.green);
             console.log(`Failed Updates: ${stats.failureCount}`.red);
+            console.log(`Conflicts (changed since analysis): ${stats.conflicts.length}`.yellow);
+            stats.conflicts.forEach(item => console.log(`  ${item.inv_num || item.file_name} (_id ${item._id}): ${item.error}`.yellow));
+
+            sessions.forEach(session => console.log(`Roll back ${session.database} with: node dbUpdateScript.js rollback --session ${session.session_id}`.grey));
 
             await writeUpdateStatsToFile({
-                timestamp: new Date().toISOString(), database_updated: targetDatabaseName,
+                timestamp: new Date().toISOString(), database_updated: sessions.map(session => session.database).join(', '),
+                sessions,
                 total_planned_updates: updatePlan.length, mode_selected: executionChoice.mode,
-                updates_attempted: stats.successCount + stats.failureCount,
+                updates_attempted: attemptedCount,
                 successful_updates: stats.successCount, failed_updates: stats.failureCount,
+                conflicts: stats.conflicts.length, conflict_details: stats.conflicts,
                 failures_details: stats.failedUpdates
             });
 
-            if (stats.failureCount > 0) {
-                console.log("Details of failed updates are logged in updateStats.json".yellow);
+            if (stats.failureCount > 0 || stats.conflicts.length > 0) {
+                console.log("Details of failed and conflicting updates are logged in updateStats.json".yellow);
             }
         } else {
             console.log("No database updates were performed.".yellow);
             await writeUpdateStatsToFile({
-                timestamp: new Date().toISOString(), database_updated: targetDatabaseName,
-                total_planned_updates: updatePlan.length, mode_selected: "cancelled",
+                timestamp: new Date().toISOString(), database_updated: databasesInPlan.join(', '),
+                total_planned_updates: updatePlan.length, mode_selected: executionChoice.mode || "cancelled",
                 updates_attempted: 0, successful_updates: 0, failed_updates: 0,
                 failures_details: []
             });
         }
     } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(error.message.red);
+            return;
+        }
         console.error("An error occurred in the DB Update Script:".red, error);
         if (error.cause) console.error("Cause:".red, error.cause);
     } finally {
@@ -0,0 +1,75 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+/**
+ * Layout and manifest for downloaded invoice files.
+ *
+ * Files live at <base>/<database>/<group_id>/<report_type>/<_id>_<file name>, so invoices that share a file name
+ * across databases or groups never overwrite each other. manifest.json in <base> maps "<database>/<_id>" to the
+ * local path (relative to <base>), the storage key and the content hashes; the analyzer resolves PDFs through it.
+ */
+
+export const MANIFEST_FILE_NAME = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Keeps path segments portable: no separators, no characters Windows/S3 tooling chokes on.
+const safeSegment = value => String(value ?? 'unknown').replace(/[\/\\:*?"<>|\s]+/g, '_').replace(/^\.+/, '_') || 'unknown';
+
+/**
+ * Manifest key for a document.
+ * @param {string} databaseName - Database the invoice was fetched from.
+ * @param {ObjectId|string} id - The document _id.
+ * @returns {string}
+ */
+export const manifestKey = (databaseName, id) => `${databaseName}/${String(id)}`;
+
+/**
+ * Deterministic local path (relative to the download base directory) for an invoice.
+ * @param {{ databaseName: string, reportType: string, doc: object }} target
+ * @returns {string}
+ */
+export function buildRelativeInvoicePath({ databaseName, reportType, doc }) {
+    const fileName = path.basename(String(doc.file_name || doc.original_filename || 'invoice.pdf'));
+    return path.join(safeSegment(databaseName), safeSegment(doc.group_id), safeSegment(reportType), `${String(doc._id)}_${safeSegment(fileName)}`);
+}
+
+/**
+ * Reads the manifest; a missing file yields an empty one.
+ * @param {string} baseDir - Download base directory.
+ * @returns {Promise<{ version: number, entries: object }>}
+ */
+export async function readDownloadManifest(baseDir) {
+    try {
+        const manifest = JSON.parse(await fsPromises.readFile(path.join(baseDir, MANIFEST_FILE_NAME), 'utf8'));
+        return { version: MANIFEST_VERSION, entries: {}, ...manifest };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { version: MANIFEST_VERSION, entries: {} };
+        throw error;
+    }
+}
+
+/**
+ * Writes the manifest via a temp file and rename.
+ * @param {string} baseDir - Download base directory.
+ * @param {{ entries: object }} manifest
+ */
+export async function writeDownloadManifest(baseDir, manifest) {
+    await fsPromises.mkdir(baseDir, { recursive: true });
+    const manifestPath = path.join(baseDir, MANIFEST_FILE_NAME);
+    const tempPath = `${manifestPath}.${process.pid}.tmp`;
+    await fsPromises.writeFile(tempPath, JSON.stringify({ ...manifest, version: MANIFEST_VERSION, updated_at: new Date().toISOString() }, null, 2));
+    await fsPromises.rename(tempPath, manifestPath);
+}
+
+/**
+ * Absolute path of a downloaded invoice, or null when the manifest has no entry for it.
+ * @param {string} baseDir - Download base directory.
+ * @param {{ entries: object }} manifest
+ * @param {string} databaseName - Database the invoice was fetched from.
+ * @param {ObjectId|string} id - The document _id.
+ * @returns {string|null}
+ */
+export function resolveDownloadedInvoicePath(baseDir, manifest, databaseName, id) {
+    const entry = manifest.entries[manifestKey(databaseName, id)];
+    return entry?.local_path ? path.join(baseDir, entry.local_path) : null;
+}
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+
+/**
+ * Duplicate-invoice detection for the DUPLICATE_INVOICE report option.
+ *
+ * Re-sent supplier emails create the same invoice twice. Candidates are the invoices in scope of a selection;
+ * within one group and supplier, two invoices are linked when
+ *   - their invoice numbers are equal once normalized (case, punctuation, an INV prefix and leading zeros ignored),
+ *   - their totals are near-equal and their invoice dates are a few days apart at most, or
+ *   - their downloaded PDFs have the same content hash (download manifest sha256).
+ * Linked invoices form a cluster; the one created first is the suspected original. Clusters are found when the
+ * cycle fetches (from metadata) and each member is assessed at analysis time, when PDF hashes from the download are
+ * known. Ambiguous members can be explained by the model.
+ */
+
+export const DUPLICATE_REPORT_TYPE = 'DUPLICATE_INVOICE';
+export const DUPLICATE_CLUSTERS_FILE_NAME = 'duplicateClusters.json';
+
+// Fields needed to find clusters; the full documents are only fetched for cluster members.
+export const DUPLICATE_CANDIDATE_PROJECTION = {
+    _id: 1, file_name: 1, group_id: 1, supplier: 1, inv_num: 1, total: 1, inv_date: 1, created_at: 1, status: 1, inv_source: 1
+};
+
+const MONEY_EPSILON = 0.005;
+const NEAR_TOTAL_RATIO = 0.005; // Totals within 0.5% (or a cent) are near-equal.
+const NEAR_DATE_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const roundMoney = value => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Invoice number as compared for duplicates: upper case, letters and digits only, without an INV/INVOICE prefix
+ * and leading zeros. "Inv-000123" and "123" compare equal.
+ * @param {*} value
+ * @returns {string} Empty when there is no usable number.
+ */
+export function normalizeInvoiceNumber(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^(INVOICE|INV)(?=\d)/, '').replace(/^0+(?=.)/, '');
+}
+
+const normalizeSupplier = value => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function toTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+// created_at, or the creation time embedded in the ObjectId when it is missing.
+function createdTime(member) {
+    const created = toTime(member.created_at);
+    if (created !== null) return created;
+    return /^[0-9a-f]{24}$/i.test(member._id) ? parseInt(member._id.substring(0, 8), 16) * 1000 : Number.MAX_SAFE_INTEGER;
+}
+
+const isoOrNull = value => (toTime(value) === null ? (value ?? null) : new Date(value).toISOString());
+
+function summarizeMember(doc) {
+    return {
+        _id: String(doc._id), file_name: doc.file_name ?? null, inv_num: doc.inv_num ?? null, total: doc.total ?? null,
+        inv_date: isoOrNull(doc.inv_date), created_at: isoOrNull(doc.created_at), status: doc.status ?? null, inv_source: doc.inv_source ?? null
+    };
+}
+
+const totalsNear = (a, b) => isNumber(a) && isNumber(b) &&
+    Math.abs(roundMoney(a) - roundMoney(b)) <= Math.max(MONEY_EPSILON, Math.abs(a) * NEAR_TOTAL_RATIO);
+
+function daysApart(a, b) {
+    const timeA = toTime(a);
+    const timeB = toTime(b);
+    return timeA === null || timeB === null ? null : Math.round(Math.abs(timeA - timeB) / DAY_MS);
+}
+
+/**
+ * What two invoices have in common.
+ * @param {object} a - Cluster member summary (or invoice document).
+ * @param {object} b
+ * @param {object} [pdfHashes] - sha256 by _id, from the download manifest.
+ * @returns {{ same_inv_num: boolean, same_total: boolean, near_total: boolean, days_apart: number|null,
+ *   same_pdf: boolean|null, matched_on: string[] }} same_pdf is null when either PDF has not been downloaded.
+ */
+export function compareInvoices(a, b, pdfHashes = {}) {
+    const invNum = normalizeInvoiceNumber(a.inv_num);
+    const hashA = pdfHashes[String(a._id)] || null;
+    const hashB = pdfHashes[String(b._id)] || null;
+    const comparison = {
+        same_inv_num: invNum !== '' && invNum === normalizeInvoiceNumber(b.inv_num),
+        same_total: isNumber(a.total) && isNumber(b.total) && Math.abs(roundMoney(a.total) - roundMoney(b.total)) <= MONEY_EPSILON,
+        near_total: totalsNear(a.total, b.total),
+        days_apart: daysApart(a.inv_date, b.inv_date),
+        same_pdf: hashA && hashB ? hashA === hashB : null
+    };
+    comparison.matched_on = [
+        ...(comparison.same_inv_num ? ['inv_num'] : []),
+        ...(comparison.near_total && comparison.days_apart !== null && comparison.days_apart <= NEAR_DATE_DAYS ? ['total_and_date'] : []),
+        ...(comparison.same_pdf ? ['pdf_content'] : [])
+    ];
+    return comparison;
+}
+
+/**
+ * Groups candidate invoices into duplicate clusters.
+ * @param {Array<object>} docs - Candidates (DUPLICATE_CANDIDATE_PROJECTION is enough).
+ * @param {{ pdfHashes?: object }} [options] - sha256 by _id for invoices downloaded earlier.
+ * @returns {Array<object>} Clusters of two or more invoices: { cluster_id, group_id, supplier, original_id, members, links },
+ *   largest first. Members are summaries ordered by creation; links record which members matched on what.
+ */
+export function findDuplicateClusters(docs, { pdfHashes = {} } = {}) {
+    const members = docs.map(summarizeMember);
+    const groupOf = docs.map(doc => `${doc.group_id ?? ''}|${normalizeSupplier(doc.supplier)}`);
+    const parent = members.map((_, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const links = [];
+
+    // Only invoices of the same group and supplier are compared.
+    const buckets = new Map();
+    members.forEach((member, index) => {
+        if (!buckets.has(groupOf[index])) buckets.set(groupOf[index], []);
+        buckets.get(groupOf[index]).push(index);
+    });
+    for (const indexes of buckets.values()) {
+        // Candidate pairs come from indexes (same number, same PDF hash, inv_dates within the window) rather than
+        // comparing every pair, so large suppliers stay fast.
+        const pairs = new Set();
+        const addPairsWithin = keyOf => {
+            const byKey = new Map();
+            for (const index of indexes) {
+                const key = keyOf(members[index]);
+                if (!key) continue;
+                for (const other of byKey.get(key) || []) pairs.add(`${other},${index}`);
+                byKey.set(key, [...(byKey.get(key) || []), index]);
+            }
+        };
+        addPairsWithin(member => normalizeInvoiceNumber(member.inv_num));
+        addPairsWithin(member => pdfHashes[member._id] || null);
+        const dated = indexes.filter(index => toTime(members[index].inv_date) !== null)
+            .sort((a, b) => toTime(members[a].inv_date) - toTime(members[b].inv_date));
+        for (let i = 0; i < dated.length; i++) {
+            for (let j = i + 1; j < dated.length && daysApart(members[dated[i]].inv_date, members[dated[j]].inv_date) <= NEAR_DATE_DAYS; j++) {
+                pairs.add(`${Math.min(dated[i], dated[j])},${Math.max(dated[i], dated[j])}`);
+            }
+        }
+
+        for (const pair of pairs) {
+            const [i, j] = pair.split(',').map(Number);
+            const { matched_on: matchedOn } = compareInvoices(members[i], members[j], pdfHashes);
+            if (matchedOn.length === 0) continue;
+            links.push({ a: members[i]._id, b: members[j]._id, matched_on: matchedOn });
+            parent[find(i)] = find(j);
+        }
+    }
+
+    const byRoot = new Map();
+    members.forEach((member, index) => {
+        const root = find(index);
+        if (!byRoot.has(root)) byRoot.set(root, []);
+        byRoot.get(root).push(index);
+    });
+
+    const clusters = [];
+    for (const indexes of byRoot.values()) {
+        if (indexes.length < 2) continue;
+        const clusterMembers = indexes.map(index => members[index])
+            .sort((a, b) => createdTime(a) - createdTime(b) || a._id.localeCompare(b._id));
+        const ids = new Set(clusterMembers.map(member => member._id));
+        clusters.push({
+            cluster_id: `dup_${crypto.createHash('sha256').update([...ids].sort().join(',')).digest('hex').substring(0, 10)}`,
+            group_id: docs[indexes[0]].group_id ?? null,
+            supplier: docs[indexes[0]].supplier ?? null,
+            original_id: clusterMembers[0]._id,
+            members: clusterMembers,
+            links: links.filter(link => ids.has(link.a))
+        });
+    }
+    return clusters.sort((a, b) => b.members.length - a.members.length || a.cluster_id.localeCompare(b.cluster_id));
+}
+
+const describeMember = member => `${member.file_name || member._id} (inv_num ${member.inv_num ?? 'none'}, total ${member.total ?? 'none'}, ` +
+    `inv_date ${member.inv_date ? String(member.inv_date).split('T')[0] : 'none'}, created ${member.created_at ? String(member.created_at).split('T')[0] : 'unknown'})`;
+
+function clusterSnapshot(cluster, pdfHashes, docId, role, classification, matchedOn) {
+    return {
+        cluster_id: cluster.cluster_id, role, classification, original_id: cluster.original_id, matched_on: matchedOn,
+        members: cluster.members.map(member => ({
+            ...member, pdf_sha256: pdfHashes[member._id] ? pdfHashes[member._id].substring(0, 12) : null, is_this_invoice: member._id === docId
+        }))
+    };
+}
+
+const finding = (ruleId, message, details = null) => ({ rule_id: ruleId, message, details, explains_report_type: true, fix_from_document: false });
+
+/**
+ * Assesses one invoice of a cluster, in the shape of evaluateInvoiceRules (ruleEngine.js) so the analysis pipeline
+ * treats it like any rule evaluation.
+ *
+ * Against the suspected original: an identical PDF is a confirmed duplicate; the same invoice number and total with
+ * no PDF to compare is a likely one; anything else (different totals, different PDFs, a near match only, or a link
+ * through another member) is ambiguous. Ambiguous members need the model only when explainAmbiguous is set;
+ * otherwise they get a low-confidence answer from these rules.
+ * @param {object} doc - The invoice being analyzed.
+ * @param {object|null} cluster - Its cluster from findDuplicateClusters.
+ * @param {{ pdfHashes?: object, explainAmbiguous?: boolean }} [options]
+ * @returns {{ fired: Array<object>, explained: boolean, needs_model: boolean, reason: string, reason_code: string,
+ *   confidence: number, duplicate_cluster: object|null }}
+ */
+export function evaluateDuplicateInvoice(doc, cluster, { pdfHashes = {}, explainAmbiguous = false } = {}) {
+    const docId = String(doc._id);
+    const self = cluster?.members.find(member => member._id === docId);
+    if (!self) {
+        return {
+            fired: [], explained: false, needs_model: false, confidence: 0, duplicate_cluster: null,
+            reason: `Not part of any duplicate cluster (clusters are rebuilt by fetching ${DUPLICATE_REPORT_TYPE} again).`,
+            reason_code: 'NOT_DUPLICATE'
+        };
+    }
+
+    const others = cluster.members.filter(member => member._id !== docId);
+    if (docId === cluster.original_id) {
+        const message = `Suspected original of ${others.length} duplicate(s): ${others.map(describeMember).join('; ')}.`;
+        return {
+            fired: [finding('SUSPECTED_ORIGINAL', 'Created first in its duplicate cluster.', { duplicates: others.map(member => member._id) })],
+            explained: true, needs_model: false, reason: message, reason_code: 'SUSPECTED_ORIGINAL', confidence: 100,
+            duplicate_cluster: clusterSnapshot(cluster, pdfHashes, docId, 'original', null, [])
+        };
+    }
+
+    const original = cluster.members.find(member => member._id === cluster.original_id);
+    const comparison = compareInvoices(self, original, pdfHashes);
+    const fired = [];
+    if (comparison.same_inv_num) fired.push(finding('SAME_INV_NUM', `Invoice number '${self.inv_num}' matches the original's '${original.inv_num}'.`));
+    if (comparison.same_total) fired.push(finding('SAME_TOTAL', `Total ${self.total} equals the original's.`));
+    else if (comparison.near_total) fired.push(finding('NEAR_TOTAL', `Total ${self.total} is within ${NEAR_TOTAL_RATIO * 100}% of the original's ${original.total}.`));
+    else if (comparison.same_inv_num) fired.push(finding('DIFFERENT_TOTAL', `Total ${self.total ?? 'none'} differs from the original's ${original.total ?? 'none'}.`));
+    if (comparison.days_apart !== null) fired.push(finding('INV_DATE_DISTANCE', `Invoice dates are ${comparison.days_apart} day(s) apart.`, { days_apart: comparison.days_apart }));
+    if (comparison.same_pdf === true) fired.push(finding('SAME_PDF_CONTENT', 'The PDF content is identical to the original (same sha256).'));
+    if (comparison.same_pdf === false) fired.push(finding('DIFFERENT_PDF_CONTENT', 'The PDF content differs from the original.'));
+    if (comparison.same_pdf === null) fired.push(finding('PDF_NOT_COMPARED', 'PDF content was not compared: one or both PDFs are not downloaded.'));
+    if (comparison.matched_on.length === 0) fired.push(finding('INDIRECT_MATCH', 'Matches the original only through another invoice in the cluster.'));
+
+    let classification;
+    let reasonCode;
+    let confidence;
+    let summary;
+    if (comparison.same_pdf === true) {
+        [classification, reasonCode, confidence] = ['confirmed', 'EXACT_DUPLICATE', 100];
+        summary = 'Exact duplicate: the PDF content is identical';
+    } else if (comparison.same_inv_num && comparison.same_total && comparison.same_pdf === null) {
+        [classification, reasonCode, confidence] = ['likely', 'RESENT_DUPLICATE', 80];
+        summary = 'Likely re-sent duplicate: same invoice number and total';
+    } else if (comparison.same_inv_num && !comparison.same_total) {
+        [classification, reasonCode, confidence] = ['ambiguous', 'CORRECTED_REISSUE', 50];
+        summary = 'Same invoice number with a different total, possibly a corrected reissue';
+    } else if (comparison.matched_on.length === 0) {
+        [classification, reasonCode, confidence] = ['ambiguous', 'RESENT_DUPLICATE', 30];
+        summary = 'Possible duplicate: linked to the original only through another invoice in the cluster';
+    } else {
+        [classification, reasonCode, confidence] = ['ambiguous', 'RESENT_DUPLICATE', comparison.same_inv_num ? 60 : 40];
+        summary = comparison.same_inv_num ? 'Same invoice number and total, but the PDFs differ' : 'Possible duplicate: near-equal total and date only';
+    }
+
+    return {
+        fired,
+        explained: true,
+        needs_model: classification === 'ambiguous' && explainAmbiguous,
+        reason: `${summary}. Suspected original: ${describeMember(original)}.`,
+        reason_code: reasonCode,
+        confidence,
+        duplicate_cluster: clusterSnapshot(cluster, pdfHashes, docId, 'duplicate', classification, comparison.matched_on)
+    };
+}
+
+/**
+ * The cluster as a prompt section, for the {duplicate_context} placeholder.
+ * @param {object|null} snapshot - duplicate_cluster from evaluateDuplicateInvoice.
+ * @returns {string}
+ */
+export function formatDuplicateClusterForPrompt(snapshot) {
+    if (!snapshot) return 'No duplicate cluster information is available.';
+    return snapshot.members.map(member => `- ${member.is_this_invoice ? '[THIS INVOICE] ' : ''}${member._id === snapshot.original_id ? '[SUSPECTED ORIGINAL] ' : ''}` +
+        `${describeMember(member)}, status ${member.status ?? 'unknown'}, inv_source ${member.inv_source ?? 'unknown'}, pdf sha256 ${member.pdf_sha256 ?? 'not downloaded'}`).join('\n');
+}
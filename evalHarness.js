@@ -0,0 +1,282 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { ANALYSIS_RESPONSE_SCHEMAS } from './responseSchemas.js';
+import { describeSuggestedFix } from './htmlReport.js';
+
+/**
+ * Labeled fixtures and scoring for `node index.js eval`.
+ *
+ * A fixture set is a directory:
+ *   cases/**.yaml|.yml|.json   one labeled invoice per file
+ *   mockResponses.json         optional replay file for the mock provider (by_label is keyed by fixture id)
+ *
+ * A case has: id (defaults to the file name), report_type, invoice (the document as fetched), optionally database
+ * and current_date (so template overrides and date criteria behave as they would have), the PDF as `pdf` (path to
+ * the file), `pdf_text` (text, or a list with one entry per page) or `pdf_text_file` (a .txt file or an extraction
+ * cache entry), and expected: { reason_code, fix }. Leave expected.fix out to skip fix scoring; null means no fix
+ * should be suggested.
+ */
+
+export const EVAL_MOCK_RESPONSES_FILE_NAME = 'mockResponses.json';
+
+/**
+ * Raised when a fixture set cannot be loaded. `problems` lists every issue found.
+ */
+export class EvalFixtureError extends Error {
+    constructor(problems) {
+        super(`Invalid eval fixtures:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'EvalFixtureError';
+        this.problems = problems;
+    }
+}
+
+async function listCaseFiles(dir) {
+    let entries;
+    try {
+        entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await listCaseFiles(entryPath));
+        else if (/\.(ya?ml|json)$/i.test(entry.name)) files.push(entryPath);
+    }
+    return files;
+}
+
+function validateFixture(fixture, label) {
+    const problems = [];
+    const schema = ANALYSIS_RESPONSE_SCHEMAS[fixture.report_type];
+    if (!schema) problems.push(`${label}: unknown report_type '${fixture.report_type}'`);
+    if (!fixture.invoice || typeof fixture.invoice !== 'object' || Array.isArray(fixture.invoice)) problems.push(`${label}: 'invoice' must be the invoice document`);
+    if (!fixture.expected || typeof fixture.expected !== 'object') {
+        problems.push(`${label}: 'expected' with a reason_code is required`);
+    } else if (schema && !schema.properties.reason_code.enum.includes(fixture.expected.reason_code)) {
+        problems.push(`${label}: expected.reason_code should be one of ${schema.properties.reason_code.enum.join(', ')}`);
+    }
+    if ([fixture.pdf, fixture.pdf_text, fixture.pdf_text_file].filter(value => value !== undefined).length > 1) {
+        problems.push(`${label}: use only one of pdf, pdf_text and pdf_text_file`);
+    }
+    if (fixture.pdf_text !== undefined && typeof fixture.pdf_text !== 'string' &&
+        !(Array.isArray(fixture.pdf_text) && fixture.pdf_text.every(page => typeof page === 'string'))) {
+        problems.push(`${label}: pdf_text must be text or a list of page texts`);
+    }
+    if (fixture.current_date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(fixture.current_date))) {
+        problems.push(`${label}: current_date must be YYYY-MM-DD`);
+    }
+    return problems;
+}
+
+/**
+ * Loads and validates every case in a fixture set. Paths in a case are resolved relative to the case file.
+ * @param {string} fixturesDir - Fixture set directory.
+ * @returns {Promise<Array<object>>} Cases, sorted by file path, with `source` (relative path) set.
+ * @throws {EvalFixtureError} Listing every problem found.
+ */
+export async function loadEvalFixtures(fixturesDir) {
+    const problems = [];
+    const fixtures = [];
+    const files = await listCaseFiles(path.join(fixturesDir, 'cases'));
+    if (files.length === 0) throw new EvalFixtureError([`no cases found in ${path.join(fixturesDir, 'cases')}`]);
+
+    for (const filePath of files) {
+        const label = path.relative(fixturesDir, filePath);
+        let fixture;
+        try {
+            // YAML is a superset of JSON, so one parser reads both.
+            fixture = YAML.parse(await fsPromises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            problems.push(`${label}: ${error.message.split('\n')[0]}`);
+            continue;
+        }
+        if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+            problems.push(`${label}: top-level value must be a mapping`);
+            continue;
+        }
+        fixture.id = String(fixture.id || path.basename(filePath).replace(/\.(ya?ml|json)$/i, ''));
+        const fixtureProblems = validateFixture(fixture, label);
+        if (fixtures.some(other => other.id === fixture.id)) fixtureProblems.push(`${label}: duplicate id '${fixture.id}'`);
+        problems.push(...fixtureProblems);
+        if (fixtureProblems.length > 0) continue;
+
+        const resolve = relativePath => path.resolve(path.dirname(filePath), String(relativePath));
+        fixtures.push({
+            ...fixture,
+            source: label,
+            current_date: fixture.current_date !== undefined ? String(fixture.current_date) : undefined,
+            // The model call is labeled with file_name, which is what the mock provider's by_label matches on.
+            invoice: { ...fixture.invoice, file_name: fixture.id },
+            pdf: fixture.pdf !== undefined ? resolve(fixture.pdf) : undefined,
+            pdf_text_file: fixture.pdf_text_file !== undefined ? resolve(fixture.pdf_text_file) : undefined
+        });
+    }
+
+    if (problems.length > 0) throw new EvalFixtureError(problems);
+    return fixtures;
+}
+
+/**
+ * PDF text for a case given as text rather than a PDF, shaped like extractTextFromPdf's result.
+ * @param {object} fixture - From loadEvalFixtures.
+ * @returns {Promise<object|null>} { page_count, pages }, or null when the case has no text (or has a PDF instead).
+ */
+export async function readFixturePdfText(fixture) {
+    if (fixture.pdf_text !== undefined) {
+        const pages = [].concat(fixture.pdf_text).map((text, index) => ({ page: index + 1, source: 'text_layer', text, confidence: null }));
+        return { page_count: pages.length, pages };
+    }
+    if (fixture.pdf_text_file === undefined) return null;
+
+    const content = await fsPromises.readFile(fixture.pdf_text_file, 'utf8');
+    if (!/\.json$/i.test(fixture.pdf_text_file)) {
+        // Form feeds separate pages in pdftotext output.
+        const pages = content.split('\f').filter(text => text.trim()).map((text, index) => ({ page: index + 1, source: 'text_layer', text, confidence: null }));
+        return { page_count: pages.length, pages };
+    }
+    const entry = JSON.parse(content);
+    if (!Array.isArray(entry.pages)) throw new Error(`${fixture.pdf_text_file} is not an extraction cache entry (no pages).`);
+    return { page_count: entry.page_count || entry.pages.length, pages: entry.pages, from_cache: true };
+}
+
+// Expected numbers match by value, so 12 and "12.00" count as the same amount; text (a PO "0123") must be identical.
+function sameValue(expected, actual) {
+    if (expected === actual) return true;
+    if (typeof expected === 'number' && actual !== null && actual !== '' && Number.isFinite(Number(actual))) {
+        return Math.abs(expected - Number(actual)) < 1e-9;
+    }
+    return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+const fixFields = fix => new Map(describeSuggestedFix({ suggested_fix_data: fix }).map(change => [change.field, change.suggested]));
+
+/**
+ * Scores one analysis result against its case.
+ * @param {object} fixture - From loadEvalFixtures.
+ * @param {object} result - analyzeInvoice's result for the case.
+ * @returns {{ reason_correct: boolean, fix_scored: boolean, fix_exact: boolean|null, fix_fields_expected: number,
+ *   fix_fields_matched: number, fix_fields_extra: number, parse_failure: boolean }}
+ */
+export function scoreEvalResult(fixture, result) {
+    const score = {
+        reason_correct: result.reason_code === fixture.expected.reason_code,
+        fix_scored: fixture.expected.fix !== undefined,
+        fix_exact: null, fix_fields_expected: 0, fix_fields_matched: 0, fix_fields_extra: 0,
+        parse_failure: result.analysis_source === 'invalid_response'
+    };
+    if (!score.fix_scored) return score;
+
+    const expected = fixFields(fixture.expected.fix);
+    const actual = fixFields(result.suggested_fix_data);
+    score.fix_fields_expected = expected.size;
+    for (const [field, value] of expected) {
+        if (actual.has(field) && sameValue(value, actual.get(field))) score.fix_fields_matched++;
+    }
+    score.fix_fields_extra = [...actual.keys()].filter(field => !expected.has(field)).length;
+    score.fix_exact = score.fix_fields_matched === expected.size && score.fix_fields_extra === 0;
+    return score;
+}
+
+function percentile(sortedValues, fraction) {
+    if (sortedValues.length === 0) return null;
+    return sortedValues[Math.min(sortedValues.length - 1, Math.ceil(fraction * sortedValues.length) - 1)];
+}
+
+const rate = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+function summarize(entries) {
+    const modelEntries = entries.filter(entry => entry.model_calls > 0);
+    const latencies = modelEntries.map(entry => entry.model_ms).sort((a, b) => a - b);
+    const fixEntries = entries.filter(entry => entry.score.fix_scored);
+    const fieldsExpected = fixEntries.reduce((sum, entry) => sum + entry.score.fix_fields_expected, 0);
+    return {
+        cases: entries.length,
+        reason_accuracy: rate(entries.filter(entry => entry.score.reason_correct).length, entries.length),
+        fix_cases: fixEntries.length,
+        fix_exact_rate: rate(fixEntries.filter(entry => entry.score.fix_exact).length, fixEntries.length),
+        fix_field_match_rate: rate(fixEntries.reduce((sum, entry) => sum + entry.score.fix_fields_matched, 0), fieldsExpected),
+        model_cases: modelEntries.length,
+        parse_failure_rate: rate(modelEntries.filter(entry => entry.score.parse_failure).length, modelEntries.length),
+        model_errors: entries.filter(entry => entry.analysis_source === 'model_error').length,
+        latency_ms: {
+            avg: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+            p50: percentile(latencies, 0.5),
+            p95: percentile(latencies, 0.95)
+        }
+    };
+}
+
+/**
+ * Aggregates scored entries overall and per report type.
+ * @param {Array<{ report_type: string, analysis_source: string, model_calls: number, model_ms: number, score: object }>} entries
+ * @returns {{ overall: object, by_report_type: object }} Rates are 0-1, or null when nothing was measured.
+ *   Parse failures and latency only count cases that reached the model (not the ones explained by rules).
+ */
+export function summarizeEvalRun(entries) {
+    const byReportType = {};
+    for (const reportType of [...new Set(entries.map(entry => entry.report_type))].sort()) {
+        byReportType[reportType] = summarize(entries.filter(entry => entry.report_type === reportType));
+    }
+    return { overall: summarize(entries), by_report_type: byReportType };
+}
+
+const formatRate = value => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+const formatMs = value => (value === null || value === undefined ? '-' : `${value} ms`);
+
+function summaryRows(summary) {
+    return [
+        ['cases', String(summary.cases)],
+        ['reason accuracy', formatRate(summary.reason_accuracy)],
+        ['fix exact match', `${formatRate(summary.fix_exact_rate)} of ${summary.fix_cases}`],
+        ['fix field match', formatRate(summary.fix_field_match_rate)],
+        ['parse failures', `${formatRate(summary.parse_failure_rate)} of ${summary.model_cases}`],
+        ['model errors', String(summary.model_errors)],
+        ['latency avg', formatMs(summary.latency_ms.avg)],
+        ['latency p50', formatMs(summary.latency_ms.p50)],
+        ['latency p95', formatMs(summary.latency_ms.p95)]
+    ];
+}
+
+/**
+ * Formats one or more evaluated variants as plain-text tables, side by side, followed by the cases whose outcome
+ * differs between the first two variants.
+ * @param {Array<{ label: string, summary: object, entries: Array<object> }>} variants
+ * @returns {string}
+ */
+export function formatEvalSummary(variants) {
+    const lines = [];
+    const sections = [['Overall', variant => variant.summary.overall]];
+    const reportTypes = [...new Set(variants.flatMap(variant => Object.keys(variant.summary.by_report_type)))].sort();
+    reportTypes.forEach(reportType => sections.push([reportType, variant => variant.summary.by_report_type[reportType]]));
+
+    const columnWidth = Math.max(18, ...variants.map(variant => variant.label.length + 2));
+    lines.push(`${''.padEnd(22)}${variants.map(variant => variant.label.padEnd(columnWidth)).join('')}`);
+    for (const [title, pickSummary] of sections) {
+        lines.push(title);
+        const rowsPerVariant = variants.map(variant => (pickSummary(variant) ? summaryRows(pickSummary(variant)) : null));
+        const metricNames = summaryRows(variants.map(pickSummary).find(Boolean)).map(([name]) => name);
+        metricNames.forEach((name, index) => {
+            lines.push(`  ${name.padEnd(20)}${rowsPerVariant.map(rows => (rows ? rows[index][1] : '-').padEnd(columnWidth)).join('')}`);
+        });
+    }
+
+    if (variants.length > 1) {
+        const [first, second] = variants;
+        const secondById = new Map(second.entries.map(entry => [entry.fixture_id, entry]));
+        const changed = first.entries.filter(entry => {
+            const other = secondById.get(entry.fixture_id);
+            return other && (other.reason_code !== entry.reason_code || other.score.fix_exact !== entry.score.fix_exact);
+        });
+        lines.push('', `Cases that differ between ${first.label} and ${second.label}: ${changed.length}`);
+        changed.forEach(entry => {
+            const other = secondById.get(entry.fixture_id);
+            const outcome = item => `${item.reason_code || item.analysis_source}${item.score.reason_correct ? ' ✓' : ' ✗'}` +
+                (item.score.fix_scored ? `, fix ${item.score.fix_exact ? '✓' : '✗'}` : '');
+            lines.push(`  ${entry.fixture_id} (expected ${entry.expected_reason_code}): ${outcome(entry)}  →  ${outcome(other)}`);
+        });
+    }
+    return lines.map(line => line.trimEnd()).join('\n');
+}
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import colors from 'colors';
+
+/**
+ * Persistent cache for PDF text extraction (pdftotext + Tesseract OCR).
+ *
+ * One JSON file per entry, named after the SHA-256 of the PDF bytes plus a hash of the extraction settings
+ * (DPI, OCR language, page selection), so a changed file or changed settings simply miss the cache.
+ * Entries hold the page count and the per-page text, source and OCR confidence.
+ */
+
+// Bump when the stored entry shape or the extraction logic changes in a way that makes old entries wrong.
+const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * SHA-256 of a file's contents (streamed) or of a Buffer.
+ * @param {string|Buffer} pathOrBuffer - PDF path or bytes.
+ * @returns {Promise<string>} Hex digest.
+ */
+export async function computeContentSha256(pathOrBuffer) {
+    if (Buffer.isBuffer(pathOrBuffer)) {
+        return crypto.createHash('sha256').update(pathOrBuffer).digest('hex');
+    }
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(pathOrBuffer)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * The subset of extraction settings that changes the output, in a stable shape.
+ * @param {object} settings - Effective extraction settings (pageRange, pageLimit, dpi, lang, minTextLayerChars).
+ * @returns {object}
+ */
+export function normalizeExtractionSettings(settings) {
+    return {
+        version: CACHE_FORMAT_VERSION,
+        dpi: settings.dpi,
+        lang: settings.lang,
+        page_range: settings.pageRange ? String(settings.pageRange).replace(/\s+/g, '') : null,
+        page_limit: settings.pageLimit || 0,
+        min_text_layer_chars: settings.minTextLayerChars
+    };
+}
+
+/**
+ * Cache key for a PDF digest and settings.
+ * @param {string} pdfSha256 - Digest from computeContentSha256.
+ * @param {object} settings - Effective extraction settings.
+ * @returns {string}
+ */
+export function extractionCacheKey(pdfSha256, settings) {
+    const settingsHash = crypto.createHash('sha256').update(JSON.stringify(normalizeExtractionSettings(settings))).digest('hex');
+    return `${pdfSha256}_${settingsHash.substring(0, 16)}`;
+}
+
+const entryPath = (cacheDir, key) => path.join(cacheDir, `${key}.json`);
+
+/**
+ * Reads a cache entry and records the access time for pruning.
+ * @param {string} cacheDir - Cache directory.
+ * @param {string} key - Key from extractionCacheKey.
+ * @returns {Promise<object|null>} The entry, or null on a miss (or an unreadable entry).
+ */
+export async function readCachedExtraction(cacheDir, key) {
+    let entry;
+    try {
+        entry = JSON.parse(await fsPromises.readFile(entryPath(cacheDir, key), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`[Extraction Cache] Ignoring unreadable entry ${key}: ${error.message}`.yellow);
+        return null;
+    }
+    if (entry.settings?.version !== CACHE_FORMAT_VERSION) return null;
+
+    const now = new Date();
+    await fsPromises.utimes(entryPath(cacheDir, key), now, now).catch(() => { });
+    return entry;
+}
+
+/**
+ * Stores an extraction result. Written via a temp file so readers never see a partial entry.
+ * @param {string} cacheDir - Cache directory.
+ * @param {string} key - Key from extractionCacheKey.
+ * @param {{ pdf_sha256: string, source_file: string, settings: object, page_count: number, pages: Array<object> }} entry
+ */
+export async function writeCachedExtraction(cacheDir, key, entry) {
+    await fsPromises.mkdir(cacheDir, { recursive: true });
+    const tempPath = `${entryPath(cacheDir, key)}.${process.pid}.tmp`;
+    await fsPromises.writeFile(tempPath, JSON.stringify({ ...entry, created_at: new Date().toISOString() }, null, 2));
+    await fsPromises.rename(tempPath, entryPath(cacheDir, key));
+}
+
+/**
+ * Lists cache entries with their metadata (page text is not returned).
+ * @param {string} cacheDir - Cache directory.
+ * @returns {Promise<Array<object>>} { key, pdf_sha256, source_file, settings, page_count, ocr_pages, size_bytes, created_at, last_used_at }
+ */
+export async function listCacheEntries(cacheDir) {
+    let files;
+    try {
+        files = await fsPromises.readdir(cacheDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(cacheDir, file);
+        try {
+            const [content, stats] = await Promise.all([fsPromises.readFile(filePath, 'utf8'), fsPromises.stat(filePath)]);
+            const entry = JSON.parse(content);
+            entries.push({
+                key: path.basename(file, '.json'),
+                pdf_sha256: entry.pdf_sha256,
+                source_file: entry.source_file,
+                settings: entry.settings,
+                page_count: entry.page_count,
+                ocr_pages: (entry.pages || []).filter(page => page.source === 'ocr').length,
+                size_bytes: stats.size,
+                created_at: entry.created_at,
+                last_used_at: stats.mtime.toISOString()
+            });
+        } catch (error) {
+            entries.push({ key: path.basename(file, '.json'), corrupt: true, size_bytes: 0, error: error.message });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Most recently used entry for a PDF, whatever settings it was extracted with (for display, not for analysis).
+ * @param {string} cacheDir - Cache directory.
+ * @param {string} pdfSha256 - Digest from computeContentSha256.
+ * @returns {Promise<object|null>} The full entry, including page text.
+ */
+export async function findLatestExtractionForPdf(cacheDir, pdfSha256) {
+    const [latest] = (await listCacheEntries(cacheDir))
+        .filter(entry => !entry.corrupt && entry.pdf_sha256 === pdfSha256)
+        .sort((a, b) => b.last_used_at.localeCompare(a.last_used_at));
+    return latest ? readCachedExtraction(cacheDir, latest.key) : null;
+}
+
+/**
+ * Removes entries matching a predicate.
+ * @param {string} cacheDir - Cache directory.
+ * @param {(entry: object) => boolean} shouldRemove - Called with each entry from listCacheEntries.
+ * @returns {Promise<{ removedCount: number, freedBytes: number }>}
+ */
+export async function removeCacheEntries(cacheDir, shouldRemove) {
+    let removedCount = 0;
+    let freedBytes = 0;
+    for (const entry of await listCacheEntries(cacheDir)) {
+        if (!shouldRemove(entry)) continue;
+        await fsPromises.unlink(entryPath(cacheDir, entry.key)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+        removedCount++;
+        freedBytes += entry.size_bytes;
+    }
+    return { removedCount, freedBytes };
+}
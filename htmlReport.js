@@ -0,0 +1,205 @@
+import path from 'path';
+
+/**
+ * Renders an analysis run as one self-contained HTML file (inline CSS and JS, no external assets) for the AP team.
+ * Rows are rendered server-side so the report is readable even with scripts disabled; the inline script only
+ * adds filtering and sorting.
+ */
+
+// analysis_source values that mean no real analysis happened for the invoice.
+export const FAILED_ANALYSIS_SOURCES = ['skipped', 'pdf_error', 'model_error', 'invalid_response'];
+
+const escapeHtml = value => String(value ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+// Display form of a field value; also used for fixes in the root-cause prompt and the spreadsheet export.
+export const formatValue = value => {
+    if (value === undefined || value === null || value === '') return '∅';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Relative file link from the report to the PDF, percent-encoded per path segment.
+function pdfHref(reportDir, absolutePath) {
+    return path.relative(reportDir, absolutePath).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Describes a suggested fix as current -> suggested pairs against the analysed snapshot.
+ * @param {object} result - One analysis result.
+ * @returns {Array<{ field: string, current: *, suggested: * }>}
+ */
+export function describeSuggestedFix(result) {
+    const fix = result.suggested_fix_data;
+    if (!fix || typeof fix !== 'object') return [];
+    const snapshot = result.original_data_snippet || {};
+
+    if (Array.isArray(fix.line_item_updates)) {
+        const changes = [];
+        fix.line_item_updates.forEach(update => {
+            const identifier = update.identifier || {};
+            const lineItem = (snapshot.line_items || []).find(item => Object.keys(identifier).every(key => item[key] === identifier[key])) || {};
+            Object.entries(update.corrections || {}).forEach(([key, value]) => {
+                changes.push({ field: `line_items[${Object.values(identifier).join(' / ')}].${key}`, current: lineItem[key], suggested: value });
+            });
+        });
+        return changes;
+    }
+    return Object.entries(fix)
+        .filter(([field]) => field !== 'confidence')
+        .map(([field, suggested]) => ({ field, current: snapshot[field], suggested }));
+}
+
+function countBy(rows, keyFn) {
+    const counts = new Map();
+    rows.forEach(row => {
+        const key = keyFn(row);
+        const entry = counts.get(key) || { total: 0, with_fix: 0, failed: 0 };
+        entry.total++;
+        if (row.result.suggested_fix_data) entry.with_fix++;
+        if (FAILED_ANALYSIS_SOURCES.includes(row.result.analysis_source)) entry.failed++;
+        counts.set(key, entry);
+    });
+    return [...counts.entries()].sort((a, b) => b[1].total - a[1].total);
+}
+
+function renderCountTable(title, counts) {
+    return `<section class="counts"><h2>${escapeHtml(title)}</h2><table><thead><tr><th></th><th>Invoices</th><th>With fix</th><th>Failed</th></tr></thead><tbody>` +
+        counts.map(([key, c]) => `<tr><td>${escapeHtml(key)}</td><td>${c.total}</td><td>${c.with_fix}</td><td>${c.failed}</td></tr>`).join('') +
+        `</tbody></table></section>`;
+}
+
+const ORIGINAL_FIELDS = ['inv_num', 'inv_date', 'po_num', 'supplier', 'ship_to', 'sub_total', 'taxes', 'shipping', 'discount_amount', 'total', 'status', 'pending_reason'];
+
+function renderRow({ key, result, pdfPath }, reportDir) {
+    const snapshot = result.original_data_snippet || {};
+    const confidence = typeof result.confidence === 'number' ? result.confidence : '';
+    const fixChanges = describeSuggestedFix(result);
+    const failed = FAILED_ANALYSIS_SOURCES.includes(result.analysis_source);
+
+    const originalFields = ORIGINAL_FIELDS
+        .filter(field => snapshot[field] !== undefined)
+        .map(field => `<div><span class="k">${field}</span> ${escapeHtml(formatValue(snapshot[field]))}</div>`).join('');
+    const lineItemCount = Array.isArray(snapshot.line_items) ? `<div><span class="k">line_items</span> ${snapshot.line_items.length}</div>` : '';
+    const fixHtml = fixChanges.length > 0
+        ? fixChanges.map(change => `<div><span class="k">${escapeHtml(change.field)}</span> <span class="cur">${escapeHtml(formatValue(change.current))}</span> → <span class="sug">${escapeHtml(formatValue(change.suggested))}</span></div>`).join('')
+        : '<span class="muted">none</span>';
+    const evidence = (result.evidence || []).length > 0
+        ? `<ul class="evidence">${result.evidence.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '';
+    const pdfCell = pdfPath ? `<a href="${escapeHtml(pdfHref(reportDir, pdfPath))}">PDF</a>` : '<span class="muted">not downloaded</span>';
+
+    return `<tr class="${failed ? 'failed' : ''}" data-report-type="${escapeHtml(result.report_type)}" data-supplier="${escapeHtml(result.supplier || 'N/A')}" data-confidence="${confidence}" data-source="${escapeHtml(result.analysis_source)}">` +
+        `<td><div class="file">${escapeHtml(snapshot.file_name || key)}</div><div class="muted">${escapeHtml(snapshot.inv_num || '')}</div>${pdfCell}</td>` +
+        `<td>${escapeHtml(result.report_type)}</td>` +
+        `<td>${escapeHtml(result.supplier || 'N/A')}</td>` +
+        `<td>${escapeHtml(result.analysis_source || '')}${result.reason_code ? `<div class="muted">${escapeHtml(result.reason_code)}</div>` : ''}</td>` +
+        `<td class="num">${confidence}</td>` +
+        `<td>${escapeHtml(result.reason_from_gemma)}${evidence}</td>` +
+        `<td class="fix">${fixHtml}</td>` +
+        `<td class="orig">${originalFields}${lineItemCount}</td>` +
+        `</tr>`;
+}
+
+const STYLE = `
+body{font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:24px;color:#1f2328;font-size:14px}
+h1{font-size:20px;margin:0 0 4px}h2{font-size:15px;margin:16px 0 6px}
+.meta{color:#59636e;margin-bottom:12px}.meta span{margin-right:16px}
+.summary{display:flex;gap:24px;flex-wrap:wrap}
+table{border-collapse:collapse;width:100%}th,td{border:1px solid #d1d9e0;padding:6px 8px;vertical-align:top;text-align:left}
+th{background:#f6f8fa;position:sticky;top:0}th.sortable{cursor:pointer;user-select:none}th.sortable:after{content:' ↕';color:#8c959f}
+.counts table{width:auto}.num{text-align:right}.muted{color:#8c959f}.k{color:#59636e;font-size:12px;margin-right:4px}
+.cur{text-decoration:line-through;color:#cf222e}.sug{color:#1a7f37;font-weight:600}
+tr.failed{background:#fff8f0}.file{font-weight:600;word-break:break-all}.evidence{margin:4px 0 0 16px;padding:0;color:#59636e}
+.filters{display:flex;gap:12px;align-items:center;margin:16px 0;flex-wrap:wrap}.filters label{display:flex;gap:4px;align-items:center}
+`;
+
+const SCRIPT = `
+(function () {
+    var tbody = document.querySelector('#results tbody');
+    var rows = Array.prototype.slice.call(tbody.rows);
+    var type = document.getElementById('f-type'), supplier = document.getElementById('f-supplier');
+    var minConf = document.getElementById('f-confidence'), text = document.getElementById('f-text'), shown = document.getElementById('shown');
+    function apply() {
+        var count = 0, needle = text.value.toLowerCase(), min = minConf.value === '' ? null : Number(minConf.value);
+        rows.forEach(function (row) {
+            var conf = row.dataset.confidence === '' ? null : Number(row.dataset.confidence);
+            var visible = (!type.value || row.dataset.reportType === type.value) &&
+                (!supplier.value || row.dataset.supplier === supplier.value) &&
+                (min === null || (conf !== null && conf >= min)) &&
+                (!needle || row.textContent.toLowerCase().indexOf(needle) !== -1);
+            row.style.display = visible ? '' : 'none';
+            if (visible) count++;
+        });
+        shown.textContent = count;
+    }
+    [type, supplier, minConf, text].forEach(function (el) { el.addEventListener('input', apply); });
+    var direction = {};
+    document.querySelectorAll('th.sortable').forEach(function (th) {
+        th.addEventListener('click', function () {
+            var key = th.dataset.key, dir = direction[key] = -(direction[key] || -1);
+            rows.sort(function (a, b) {
+                var x = a.dataset[key], y = b.dataset[key];
+                if (key === 'confidence') { x = x === '' ? -1 : Number(x); y = y === '' ? -1 : Number(y); return (x - y) * dir; }
+                return x.localeCompare(y) * dir;
+            });
+            rows.forEach(function (row) { tbody.appendChild(row); });
+        });
+    });
+    apply();
+})();
+`;
+
+/**
+ * Builds the report HTML.
+ * @param {{ results: object, runState: object|null, resolvePdfPath: (result: object) => string|null, reportPath: string, generatedAt?: Date }} input
+ *   `results` is analysisResults.json; `runState` is analysisRunState.json (run inputs); `resolvePdfPath` maps a
+ *   result to the absolute path of its downloaded PDF.
+ * @returns {string} A complete HTML document.
+ */
+export function buildHtmlReport({ results, runState, resolvePdfPath, reportPath, generatedAt = new Date() }) {
+    const reportDir = path.dirname(path.resolve(reportPath));
+    const rows = Object.entries(results || {}).map(([key, result]) => ({ key, result, pdfPath: resolvePdfPath(result) }));
+    const config = runState?.analysis_config || {};
+    const reportTypes = [...new Set(rows.map(row => row.result.report_type))].sort();
+    const suppliers = [...new Set(rows.map(row => row.result.supplier || 'N/A'))].sort();
+    const options = values => values.map(value => `<option>${escapeHtml(value)}</option>`).join('');
+
+    const metaItems = [
+        ['Database', config.database_names?.join(', ') || config.database_name], ['Group', config.group_id],
+        ['Options', (config.selected_options || []).join(', ')], ['Suppliers', (config.suppliers || []).join(', ') || 'all'],
+        ['Model', config.model_provider ? `${config.model_provider}${config.model_name ? ` / ${config.model_name}` : ''}` : null],
+        ['Run', runState ? `${runState.run_id} (${runState.status})` : null], ['Generated', generatedAt.toISOString()]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice analysis report${config.group_id ? ` – ${escapeHtml(config.group_id)}` : ''}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Invoice analysis report</h1>
+<div class="meta">${metaItems.map(([label, value]) => `<span><b>${label}:</b> ${escapeHtml(value)}</span>`).join('')}</div>
+<div class="summary">
+${renderCountTable('By report type', countBy(rows, row => row.result.report_type))}
+${renderCountTable('By supplier', countBy(rows, row => row.result.supplier || 'N/A'))}
+</div>
+<div class="filters">
+<label>Report type <select id="f-type"><option value="">All</option>${options(reportTypes)}</select></label>
+<label>Supplier <select id="f-supplier"><option value="">All</option>${options(suppliers)}</select></label>
+<label>Min confidence <input id="f-confidence" type="number" min="0" max="100" style="width:70px"></label>
+<label>Search <input id="f-text" type="search"></label>
+<span class="muted"><span id="shown">${rows.length}</span> of ${rows.length} invoices</span>
+</div>
+<table id="results">
+<thead><tr><th>Invoice</th><th class="sortable" data-key="reportType">Report type</th><th class="sortable" data-key="supplier">Supplier</th><th>Source</th><th class="sortable" data-key="confidence">Confidence</th><th>AI reason</th><th>Suggested fix (current → suggested)</th><th>Original fields</th></tr></thead>
+<tbody>
+${rows.map(row => renderRow(row, reportDir)).join('\n')}
+</tbody>
+</table>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
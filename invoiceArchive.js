@@ -0,0 +1,116 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { BSON } from 'mongodb';
+
+const { EJSON } = BSON;
+
+/**
+ * Local archives of invoice documents, written before anything is deleted.
+ *
+ * An archive is an NDJSON file with one canonical-EJSON document per line (ObjectIds, Dates and number types
+ * survive the round trip), plus a <name>.meta.json sidecar with the database, collection, count and _id list.
+ */
+
+const DELETE_BATCH_SIZE = 500;
+
+/**
+ * Exports the documents with the given _ids to a new archive and re-reads it to confirm every document landed.
+ * @param {Collection} collection - Source collection.
+ * @param {Array<ObjectId>} ids - Documents to archive.
+ * @param {{ archiveDir: string, databaseName: string, collectionName: string, reason?: string }} options
+ * @returns {Promise<{ archivePath: string, metaPath: string, ids: Array<ObjectId>, count: number }>}
+ */
+export async function archiveDocuments(collection, ids, { archiveDir, databaseName, collectionName, reason = null }) {
+    await fsPromises.mkdir(archiveDir, { recursive: true });
+    const baseName = `${databaseName}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const archivePath = path.join(archiveDir, `${baseName}.ndjson`);
+    const metaPath = path.join(archiveDir, `${baseName}.meta.json`);
+
+    const out = fs.createWriteStream(archivePath, { flags: 'wx' });
+    const archivedIds = [];
+    try {
+        for await (const doc of collection.find({ _id: { $in: ids } })) {
+            if (!out.write(EJSON.stringify(doc, { relaxed: false }) + '\n')) {
+                await new Promise(resolve => out.once('drain', resolve));
+            }
+            archivedIds.push(doc._id);
+        }
+    } finally {
+        await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+    }
+
+    const written = await readArchive(archivePath);
+    if (written.length !== archivedIds.length) {
+        throw new Error(`Archive verification failed: wrote ${archivedIds.length} document(s) but read back ${written.length} from ${archivePath}.`);
+    }
+
+    await fsPromises.writeFile(metaPath, EJSON.stringify({
+        database: databaseName, collection: collectionName, created_at: new Date(), reason,
+        count: archivedIds.length, ids: archivedIds
+    }, null, 2, { relaxed: false }));
+    return { archivePath, metaPath, ids: archivedIds, count: archivedIds.length };
+}
+
+/**
+ * Reads every document from an archive.
+ * @param {string} archivePath - Path to the .ndjson file.
+ * @returns {Promise<Array<object>>}
+ */
+export async function readArchive(archivePath) {
+    const documents = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(archivePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim()) documents.push(EJSON.parse(line, { relaxed: false }));
+    }
+    return documents;
+}
+
+/**
+ * Reads an archive's sidecar metadata, or null when there is none.
+ * @param {string} archivePath - Path to the .ndjson file.
+ */
+export async function readArchiveMeta(archivePath) {
+    const metaPath = archivePath.replace(/\.ndjson$/, '.meta.json');
+    try {
+        return EJSON.parse(await fsPromises.readFile(metaPath, 'utf8')); // Relaxed: count comes back as a plain number.
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Deletes exactly the archived documents, by _id, in batches.
+ * @param {Collection} collection - Collection to delete from.
+ * @param {Array<ObjectId>} ids - _ids returned by archiveDocuments.
+ * @returns {Promise<number>} Number of deleted documents.
+ */
+export async function deleteArchivedDocuments(collection, ids) {
+    let deletedCount = 0;
+    for (let start = 0; start < ids.length; start += DELETE_BATCH_SIZE) {
+        const result = await collection.deleteMany({ _id: { $in: ids.slice(start, start + DELETE_BATCH_SIZE) } });
+        deletedCount += result.deletedCount;
+    }
+    return deletedCount;
+}
+
+/**
+ * Re-inserts archived documents. Documents whose _id already exists are left untouched and reported.
+ * @param {Collection} collection - Target collection.
+ * @param {Array<object>} documents - Documents from readArchive.
+ * @returns {Promise<{ insertedCount: number, existingIds: Array<ObjectId> }>}
+ */
+export async function restoreArchivedDocuments(collection, documents) {
+    const existing = await collection.find({ _id: { $in: documents.map(doc => doc._id) } }, { projection: { _id: 1 } }).toArray();
+    const existingKeys = new Set(existing.map(doc => String(doc._id)));
+    const toInsert = documents.filter(doc => !existingKeys.has(String(doc._id)));
+
+    let insertedCount = 0;
+    if (toInsert.length > 0) {
+        const result = await collection.insertMany(toInsert, { ordered: false });
+        insertedCount = result.insertedCount;
+    }
+    return { insertedCount, existingIds: existing.map(doc => doc._id) };
+}
@@ -0,0 +1,234 @@
+import { BSON, ObjectId } from 'mongodb';
+
+const { EJSON } = BSON;
+
+/**
+ * Which invoices a cycle fetches.
+ *
+ * A selection has report options (the fixed SELECTION_OPTIONS, plus any other exception type found in the data) and
+ * filters that narrow every option alike: group_ids (null for every group), suppliers, inv_source, invoice numbers, _ids, inv_date and
+ * created_at ranges, and an optional raw MongoDB filter. Each option becomes one query, and its documents are
+ * analyzed as that report type (DUPLICATE_INVOICE is narrowed further, see duplicateDetection.js). As before, only
+ * PDF invoices (file_name ending in .pdf) are selected.
+ */
+
+// Fixed report options and the statuses/exceptions that define them.
+const REPORT_OPTION_QUERIES = {
+    PENDING_CONFIRMATION: { status: "PENDING_CONFIRMATION" },
+    INV_AMOUNT_VARIANCE: { "exceptions.header.exception_type": "INV_AMOUNT_VARIANCE", "status": "DISPUTED" },
+    ITEM_UNMATCHED: { "exceptions.line_item.exception_type": "ITEM_UNMATCHED", "status": "DISPUTED" },
+    PO_NOT_FOUND: { "exceptions.header.exception_type": "PO_NOT_FOUND", "status": "DISPUTED" },
+    UNASSIGNED: { "pending_reason": "UNASSIGNED", "status": "PENDING_CONFIRMATION" },
+    SHIPTOISSUE: { "exceptions.header.exception_type": "PO_NOT_FOUND", "status": "DISPUTED", $or: [{ ship_to: { $exists: false } }, { ship_to: "" }, { ship_to: null }] },
+    // Every invoice in scope is a candidate, whatever its status; duplicateDetection.js keeps only the clusters.
+    DUPLICATE_INVOICE: {}
+};
+
+export const SELECTION_OPTIONS = Object.keys(REPORT_OPTION_QUERIES);
+
+// Query operators a raw filter may use. Anything that runs server-side code ($where, $function, $accumulator) or
+// rewrites documents is refused; $expr is left out so filters stay readable and index-friendly.
+const RAW_FILTER_OPERATORS = new Set([
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$type', '$regex', '$options',
+    '$not', '$and', '$or', '$nor', '$elemMatch', '$size', '$all'
+]);
+const LOGICAL_OPERATORS = new Set(['$and', '$or', '$nor']);
+
+/**
+ * Raised for selection values that cannot be turned into a query (bad dates, ids or raw filters).
+ */
+export class SelectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SelectionError';
+    }
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDateBound(value, label, isUpperBound) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const text = value instanceof Date ? value.toISOString() : String(value).trim();
+    const date = new Date(DATE_ONLY.test(text) ? `${text}T00:00:00.000Z` : text);
+    if (Number.isNaN(date.getTime())) throw new SelectionError(`${label}: '${text}' is not a date (use YYYY-MM-DD or an ISO timestamp).`);
+    // A date-only upper bound includes that whole day.
+    if (isUpperBound && DATE_ONLY.test(text)) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+}
+
+/**
+ * Parses a date range given as "from..to" (either side may be left out) or { from, to }.
+ * Date-only bounds are UTC days and the upper bound is inclusive.
+ * @param {string|object|null|undefined} value - The range.
+ * @param {string} label - Field name for error messages.
+ * @returns {{ from: Date|null, to: Date|null }|null} `to` is exclusive; null when no range was given.
+ * @throws {SelectionError}
+ */
+export function parseDateRange(value, label) {
+    if (value === undefined || value === null || value === '') return null;
+    let from;
+    let to;
+    if (typeof value === 'object' && !(value instanceof Date)) {
+        ({ from, to } = value);
+    } else {
+        const text = String(value).trim();
+        if (!text.includes('..')) throw new SelectionError(`${label}: expected a range like 2024-01-01..2024-03-31 (either side may be left out), got '${text}'.`);
+        [from, to] = text.split('..');
+    }
+    const range = { from: parseDateBound(from, label, false), to: parseDateBound(to, label, true) };
+    if (!range.from && !range.to) return null;
+    if (range.from && range.to && range.from >= range.to) throw new SelectionError(`${label}: the start of the range is after its end.`);
+    return range;
+}
+
+/**
+ * Validates invoice _ids.
+ * @param {string[]} ids - 24-character hex ids.
+ * @returns {string[]} The ids, trimmed.
+ * @throws {SelectionError} Naming every malformed id.
+ */
+export function parseInvoiceIds(ids) {
+    const trimmed = (ids || []).map(id => String(id).trim()).filter(Boolean);
+    const invalid = trimmed.filter(id => !ObjectId.isValid(id) || !/^[0-9a-f]{24}$/i.test(id));
+    if (invalid.length > 0) throw new SelectionError(`Not a valid invoice _id: ${invalid.join(', ')}.`);
+    return trimmed;
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !(value instanceof ObjectId) && !value._bsontype;
+
+function collectFilterProblems(value, pointer, problems, topLevel) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => collectFilterProblems(item, `${pointer}[${index}]`, problems, false));
+        return;
+    }
+    if (!isPlainObject(value)) return;
+    for (const [key, child] of Object.entries(value)) {
+        const childPointer = pointer ? `${pointer}.${key}` : key;
+        if (key.startsWith('$')) {
+            if (!RAW_FILTER_OPERATORS.has(key)) problems.push(`${childPointer}: operator ${key} is not allowed`);
+            else if (topLevel && !LOGICAL_OPERATORS.has(key)) problems.push(`${childPointer}: ${key} must be applied to a field`);
+            if (LOGICAL_OPERATORS.has(key) && (!Array.isArray(child) || child.length === 0 || !child.every(isPlainObject))) {
+                problems.push(`${childPointer}: ${key} expects a non-empty list of filters`);
+                continue;
+            }
+            collectFilterProblems(child, childPointer, problems, LOGICAL_OPERATORS.has(key));
+        } else {
+            if (key.trim() === '' || key.includes('\0')) problems.push(`${childPointer}: invalid field name`);
+            collectFilterProblems(child, childPointer, problems, false);
+        }
+    }
+}
+
+/**
+ * Parses and validates a raw MongoDB filter. Extended JSON is accepted, so { "$oid": ... } and { "$date": ... }
+ * become ObjectIds and Dates.
+ * @param {string|object|null|undefined} value - JSON text (CLI, prompt) or an object (run file).
+ * @returns {object|null} The filter, or null when none was given.
+ * @throws {SelectionError} Listing every problem found.
+ */
+export function parseRawFilter(value) {
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) return null;
+    let filter;
+    try {
+        filter = typeof value === 'string' ? EJSON.parse(value, { relaxed: true }) : EJSON.deserialize(value, { relaxed: true });
+    } catch (error) {
+        throw new SelectionError(`Raw filter is not valid JSON: ${error.message}`);
+    }
+    if (!isPlainObject(filter)) throw new SelectionError('Raw filter must be a JSON object.');
+    if (Object.keys(filter).length === 0) return null;
+
+    const problems = [];
+    collectFilterProblems(filter, '', problems, true);
+    if (problems.length > 0) throw new SelectionError(`Raw filter rejected:\n  - ${problems.join('\n  - ')}`);
+    return filter;
+}
+
+/**
+ * Query for an exception type that is not one of the fixed options: invoices with it at header or line level.
+ * @param {string} exceptionType
+ * @returns {object}
+ */
+export function exceptionTypeQuery(exceptionType) {
+    return { $or: [{ "exceptions.header.exception_type": exceptionType }, { "exceptions.line_item.exception_type": exceptionType }] };
+}
+
+const inOrEquals = values => (values.length === 1 ? values[0] : { $in: values });
+
+function rangeQuery(range) {
+    const query = {};
+    if (range.from) query.$gte = range.from;
+    if (range.to) query.$lt = range.to;
+    return query;
+}
+
+/**
+ * The filters shared by every option of a selection (everything except the option itself).
+ * @param {object} selection - See buildMongoQueries.
+ * @returns {object}
+ */
+export function buildSelectionFilter(selection) {
+    const filter = {};
+    if (selection.group_ids) filter.group_id = inOrEquals(selection.group_ids);
+    if (selection.suppliers?.length > 0) filter.supplier = { $in: selection.suppliers };
+    if (selection.inv_sources?.length > 0) filter.inv_source = { $in: selection.inv_sources };
+    if (selection.inv_nums?.length > 0) filter.inv_num = { $in: selection.inv_nums };
+    if (selection.invoice_ids?.length > 0) filter._id = { $in: selection.invoice_ids.map(id => new ObjectId(id)) };
+    if (selection.inv_date) filter.inv_date = rangeQuery(selection.inv_date);
+    if (selection.created_at) filter.created_at = rangeQuery(selection.created_at);
+    filter.file_name = { $regex: /\.pdf$/i };
+    return filter;
+}
+
+/**
+ * Builds one query per report option.
+ * @param {{ group_ids: string[]|null, options: string[], suppliers?: string[], inv_sources?: string[], inv_nums?: string[],
+ *   invoice_ids?: string[], inv_date?: object|null, created_at?: object|null, raw_filter?: object|null }} selection
+ *   Options outside SELECTION_OPTIONS are treated as exception types.
+ * @returns {object} Query by option. The raw filter is ANDed in, so it can narrow an option but never widen it.
+ */
+export function buildMongoQueries(selection) {
+    const sharedFilter = buildSelectionFilter(selection);
+    const queries = {};
+    for (const option of selection.options) {
+        queries[option] = {
+            ...(REPORT_OPTION_QUERIES[option] || exceptionTypeQuery(option)),
+            ...sharedFilter,
+            ...(selection.raw_filter ? { $and: [selection.raw_filter] } : {})
+        };
+    }
+    return queries;
+}
+
+/**
+ * Exception types present in the data, for choosing options beyond the fixed ones.
+ * @param {Collection} collection - The invoices collection.
+ * @param {object} filter - Usually { group_id } so only relevant types are offered.
+ * @returns {Promise<{ header: string[], line_item: string[] }>} Sorted, distinct types per level.
+ */
+export async function discoverExceptionTypes(collection, filter) {
+    const [header, lineItem] = await Promise.all([
+        collection.distinct('exceptions.header.exception_type', filter),
+        collection.distinct('exceptions.line_item.exception_type', filter)
+    ]);
+    const clean = values => values.filter(value => typeof value === 'string' && value.trim()).sort();
+    return { header: clean(header), line_item: clean(lineItem) };
+}
+
+/**
+ * The selection as plain JSON (dates as ISO strings, the raw filter as relaxed Extended JSON), for run state and logs.
+ * @param {object} selection
+ * @returns {object}
+ */
+export function serializeSelection(selection) {
+    return EJSON.serialize(selection, { relaxed: true });
+}
+
+/**
+ * Formats a query for logs; unlike JSON.stringify this keeps regexes, dates and ObjectIds visible.
+ * @param {object} query
+ * @returns {string}
+ */
+export function formatQuery(query) {
+    return EJSON.stringify(query, { relaxed: true });
+}
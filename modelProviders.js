@@ -0,0 +1,287 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import colors from 'colors';
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai";
+
+/**
+ * Model provider layer. Every provider exposes the same shape:
+ *   { name, model, generate(prompt, { label }) -> Promise<string> }
+ * and owns its retry / rate-limit handling. Failures are thrown as ModelProviderError.
+ */
+
+export const MODEL_PROVIDER_NAMES = ['google', 'openai', 'mock'];
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RATE_LIMIT_DELAY_MS = 60000; // Used for 429s when the API does not say how long to wait.
+const DEFAULT_SERVER_ERROR_DELAY_MS = 5000;
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export const hashPrompt = prompt => crypto.createHash('sha256').update(typeof prompt === 'string' ? prompt : JSON.stringify(prompt)).digest('hex');
+
+/**
+ * Error raised by providers. `kind` is one of: not_configured, rate_limited, blocked, http, timeout, failed.
+ */
+export class ModelProviderError extends Error {
+    constructor(message, { kind = 'failed', status = null, retryAfterMs = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ModelProviderError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+        return this.kind === 'rate_limited' || this.kind === 'timeout' || (this.kind === 'http' && this.status >= 500);
+    }
+}
+
+/**
+ * Shared retry loop: retries rate limits (honouring the server-provided delay) and transient errors with backoff.
+ */
+async function withRetries(providerName, label, attemptFn, { maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+    let rateLimitDelay = DEFAULT_RATE_LIMIT_DELAY_MS;
+    let serverErrorDelay = DEFAULT_SERVER_ERROR_DELAY_MS;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await attemptFn();
+        } catch (error) {
+            const providerError = error instanceof ModelProviderError ? error : new ModelProviderError(error.message, { cause: error });
+            console.error(`[${providerName}] Error for ${label} (Attempt ${attempt}/${maxRetries}):`.red, providerError.message);
+
+            if (!providerError.retryable || attempt >= maxRetries) {
+                if (providerError.retryable) console.error(`[${providerName}] Max retries reached for ${label}. Giving up.`.red);
+                throw providerError;
+            }
+
+            let waitTime;
+            if (providerError.kind === 'rate_limited') {
+                waitTime = providerError.retryAfterMs ?? rateLimitDelay;
+                rateLimitDelay *= 2; // Exponential backoff when the API doesn't specify a delay
+                console.warn(`[${providerName}] Rate limit exceeded for ${label}. Waiting ${waitTime / 1000}s before retry ${attempt + 1}...`.yellow);
+            } else {
+                waitTime = serverErrorDelay;
+                serverErrorDelay *= 2;
+                console.warn(`[${providerName}] Transient error for ${label}. Waiting ${waitTime / 1000}s before retry ${attempt + 1}...`.yellow);
+            }
+            await delay(waitTime);
+        }
+    }
+}
+
+// --- Google Generative AI (Gemma / Gemini) ---
+function parseGoogleRetryDelay(error) {
+    const retryInfo = (error.errorDetails || []).find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+    const raw = retryInfo?.retryDelay || (error.message || '').match(/"retryDelay":"(\d+(?:\.\d+)?)s"/)?.[1];
+    const seconds = parseFloat(String(raw || '').replace(/s$/, ''));
+    return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+function toGoogleProviderError(error) {
+    if (error.response?.promptFeedback?.blockReason) {
+        return new ModelProviderError(`Blocked due to safety settings: ${error.response.promptFeedback.blockReason}`, { kind: 'blocked', cause: error });
+    }
+    const status = typeof error.status === 'number' ? error.status : null;
+    // Older SDK builds only surface the HTTP status inside the message.
+    const messageStatus = (error.message || '').match(/\[(\d{3})[^\]]*\]/)?.[1];
+    const effectiveStatus = status || (messageStatus ? parseInt(messageStatus, 10) : null);
+    if (effectiveStatus === 429) {
+        return new ModelProviderError(error.message, { kind: 'rate_limited', status: 429, retryAfterMs: parseGoogleRetryDelay(error), cause: error });
+    }
+    if (effectiveStatus) {
+        return new ModelProviderError(error.message, { kind: 'http', status: effectiveStatus, cause: error });
+    }
+    return new ModelProviderError(error.message, { kind: 'failed', cause: error });
+}
+
+function createGoogleProvider({ model, apiKey }) {
+    if (!apiKey) {
+        throw new ModelProviderError("GEMMA_API_KEY not found or is empty. Cannot use the google provider.", { kind: 'not_configured' });
+    }
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({
+        model,
+        safetySettings: [
+            { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+            { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+            { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+            { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+        ],
+    });
+
+    return {
+        name: 'google',
+        model,
+        async generate(prompt, { label = 'prompt' } = {}) {
+            return withRetries('google', label, async () => {
+                try {
+                    const result = await generativeModel.generateContent(prompt);
+                    const response = await result.response;
+                    return response.text().trim();
+                } catch (error) {
+                    throw toGoogleProviderError(error);
+                }
+            });
+        }
+    };
+}
+
+// --- OpenAI-compatible chat completions (OpenAI, Ollama, vLLM, LM Studio, ...) ---
+function parseRetryAfterHeader(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.ceil(seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createOpenAiCompatibleProvider({ model, baseUrl, apiKey, requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS }) {
+    if (!baseUrl) {
+        throw new ModelProviderError("OPENAI_BASE_URL is not set. Cannot use the openai provider.", { kind: 'not_configured' });
+    }
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        model,
+        async generate(prompt, { label = 'prompt' } = {}) {
+            return withRetries('openai', label, async () => {
+                let response;
+                try {
+                    response = await fetch(endpoint, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                        },
+                        body: JSON.stringify({ model, temperature: 0, messages: [{ role: 'user', content: prompt }] }),
+                        signal: AbortSignal.timeout(requestTimeoutMs)
+                    });
+                } catch (error) {
+                    const kind = error.name === 'TimeoutError' ? 'timeout' : 'failed';
+                    throw new ModelProviderError(`Request to ${endpoint} failed: ${error.message}`, { kind, cause: error });
+                }
+
+                if (response.status === 429) {
+                    throw new ModelProviderError(`Rate limited by ${endpoint}`, { kind: 'rate_limited', status: 429, retryAfterMs: parseRetryAfterHeader(response.headers.get('retry-after')) });
+                }
+                if (!response.ok) {
+                    const body = await response.text().catch(() => '');
+                    throw new ModelProviderError(`HTTP ${response.status} from ${endpoint}: ${body.substring(0, 300)}`, { kind: 'http', status: response.status });
+                }
+
+                const payload = await response.json();
+                const text = payload?.choices?.[0]?.message?.content;
+                if (typeof text !== 'string') {
+                    throw new ModelProviderError(`Unexpected response shape from ${endpoint}.`, { kind: 'failed' });
+                }
+                return text.trim();
+            });
+        }
+    };
+}
+
+// --- Mock / replay provider ---
+/**
+ * Replays responses from a JSON file shaped { responses: { <prompt sha256>: text }, by_label: { <label>: text }, default: text }.
+ * Unknown prompts get a deterministic, schema-valid placeholder answer, so offline runs never touch the network.
+ */
+async function createMockProvider({ model = 'mock', responsesFile }) {
+    let replay = { responses: {}, by_label: {}, default: null };
+    if (responsesFile) {
+        try {
+            replay = { ...replay, ...JSON.parse(await fs.readFile(responsesFile, 'utf8')) };
+            console.log(`[mock] Loaded ${Object.keys(replay.responses || {}).length} recorded response(s) from ${responsesFile}`.grey);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw new ModelProviderError(`Could not read mock responses ${responsesFile}: ${error.message}`, { kind: 'not_configured', cause: error });
+            console.warn(`[mock] No recorded responses at ${responsesFile}; using placeholders.`.yellow);
+        }
+    }
+
+    return {
+        name: 'mock',
+        model,
+        async generate(prompt, { label = 'prompt' } = {}) {
+            const promptHash = hashPrompt(prompt);
+            const recorded = replay.responses?.[promptHash] ?? replay.by_label?.[label] ?? replay.default;
+            if (recorded !== undefined && recorded !== null) return String(recorded);
+            return JSON.stringify({
+                reason: `MOCK: no recorded response for prompt ${promptHash.substring(0, 12)}`,
+                reason_code: 'OTHER', fix: null, confidence: 0, evidence: []
+            });
+        }
+    };
+}
+
+/**
+ * Wraps a provider so every successful response is saved in the mock replay format.
+ */
+function withRecording(provider, recordFile) {
+    let pendingWrite = Promise.resolve();
+    return {
+        ...provider,
+        async generate(prompt, options) {
+            const text = await provider.generate(prompt, options);
+            pendingWrite = pendingWrite.then(async () => {
+                let recorded = { responses: {} };
+                try { recorded = JSON.parse(await fs.readFile(recordFile, 'utf8')); } catch (error) { if (error.code !== 'ENOENT') throw error; }
+                recorded.responses = { ...(recorded.responses || {}), [hashPrompt(prompt)]: text };
+                await fs.mkdir(path.dirname(recordFile), { recursive: true });
+                await fs.writeFile(recordFile, JSON.stringify(recorded, null, 2));
+            }).catch(error => console.warn(`Could not record response to ${recordFile}: ${error.message}`.yellow));
+            await pendingWrite;
+            return text;
+        }
+    };
+}
+
+/**
+ * Provider settings from the environment; per-run choices override `provider` and `model`.
+ */
+export function getModelProviderDefaults(env = process.env) {
+    return {
+        provider: env.MODEL_PROVIDER || 'google',
+        model: env.MODEL_NAME || null,
+        googleApiKey: env.GEMMA_API_KEY,
+        googleModel: env.GEMMA_MODEL_NAME || "gemma-3-27b-it",
+        openAiBaseUrl: env.OPENAI_BASE_URL || 'http://localhost:11434/v1', // Ollama's OpenAI-compatible endpoint
+        openAiApiKey: env.OPENAI_API_KEY,
+        openAiModel: env.OPENAI_MODEL || 'llama3.1',
+        mockResponsesFile: env.MOCK_RESPONSES_FILE || path.join(process.cwd(), 'data', 'mockResponses.json'),
+        recordFile: env.MODEL_RECORD_FILE || null
+    };
+}
+
+/**
+ * Creates the provider selected for a run.
+ * @param {{ provider?: string, model?: string }} selection - Per-run choice; falls back to env defaults.
+ * @returns {Promise<object>} Provider with name, model and generate().
+ */
+export async function createModelProvider(selection = {}, defaults = getModelProviderDefaults()) {
+    const providerName = selection.provider || defaults.provider;
+    const requestedModel = selection.model || defaults.model;
+
+    let provider;
+    switch (providerName) {
+        case 'google':
+            provider = createGoogleProvider({ model: requestedModel || defaults.googleModel, apiKey: defaults.googleApiKey });
+            break;
+        case 'openai':
+            provider = createOpenAiCompatibleProvider({ model: requestedModel || defaults.openAiModel, baseUrl: defaults.openAiBaseUrl, apiKey: defaults.openAiApiKey });
+            break;
+        case 'mock':
+            provider = await createMockProvider({ model: requestedModel || 'mock', responsesFile: defaults.mockResponsesFile });
+            break;
+        default:
+            throw new ModelProviderError(`Unknown model provider '${providerName}'. Expected one of: ${MODEL_PROVIDER_NAMES.join(', ')}.`, { kind: 'not_configured' });
+    }
+
+    if (defaults.recordFile && provider.name !== 'mock') {
+        console.log(`Recording model responses to ${defaults.recordFile}`.grey);
+        provider = withRecording(provider, defaults.recordFile);
+    }
+    return provider;
+}
@@ -0,0 +1,71 @@
+/**
+ * PDF page selection: parsing page range expressions ("1-3,7", "2-") and resolving them against a PDF's page count.
+ * The CLI, the interactive prompt and PDF_PAGE_RANGE all validate with parsePdfPageRange, so a bad range is
+ * reported up front instead of failing every invoice with a pdf_error.
+ */
+
+/**
+ * Raised for page range expressions that are not a comma-separated list of pages and ranges.
+ */
+export class PdfPageRangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PdfPageRangeError';
+    }
+}
+
+/**
+ * Parses a page range expression: pages and ranges separated by commas, e.g. "1-3,7" or "2-" (from page 2 to the
+ * end); "-3" is pages 1 to 3.
+ * @param {string|null|undefined} pageRange
+ * @returns {Array<{ from: number, to: number|null }>|null} Parts in the given order (`to` null means the last page);
+ *   null when no range was given.
+ * @throws {PdfPageRangeError} Naming the part that is not a page or range.
+ */
+export function parsePdfPageRange(pageRange) {
+    if (pageRange === undefined || pageRange === null || String(pageRange).trim() === '') return null;
+    return String(pageRange).split(',').map(rawPart => {
+        const part = rawPart.trim();
+        const match = part.match(/^(\d*)\s*-\s*(\d*)$/) || part.match(/^(\d+)$/);
+        if (!match || (match[1] === '' && match[2] === '')) {
+            throw new PdfPageRangeError(`Invalid PDF page range '${pageRange}': '${part}' is not a page or a range. Use page numbers and ranges like 1-3,7 or 2-.`);
+        }
+        const from = match[1] === '' ? 1 : parseInt(match[1], 10);
+        const to = match.length === 2 ? from : (match[2] === '' ? null : parseInt(match[2], 10));
+        if (from < 1) throw new PdfPageRangeError(`Invalid PDF page range '${pageRange}': pages start at 1.`);
+        if (to !== null && to < from) throw new PdfPageRangeError(`Invalid PDF page range '${pageRange}': '${part}' ends before it starts.`);
+        return { from, to };
+    });
+}
+
+/**
+ * Resolves which pages to process from a range expression and a page limit.
+ * When the limit cuts the selection short, the last selected page is always kept because totals usually live there.
+ * @param {number} pageCount
+ * @param {string|null} pageRange - See parsePdfPageRange; null for every page.
+ * @param {number} pageLimit - 0 for no limit.
+ * @returns {number[]} Page numbers, ascending.
+ * @throws {PdfPageRangeError} Also when the range lies entirely beyond the last page, so the invoice is recorded as a
+ *   pdf_error instead of being analysed without PDF text.
+ */
+export function selectPdfPages(pageCount, pageRange, pageLimit) {
+    const parts = parsePdfPageRange(pageRange);
+    let pages = [];
+    if (!parts) {
+        pages = Array.from({ length: pageCount }, (_, i) => i + 1);
+    } else {
+        const selected = new Set();
+        for (const { from, to } of parts) {
+            for (let page = from; page <= Math.min(pageCount, to ?? pageCount); page++) selected.add(page);
+        }
+        pages = [...selected].sort((a, b) => a - b);
+        if (pages.length === 0) {
+            throw new PdfPageRangeError(`PDF page range '${pageRange}' selects no page of this ${pageCount}-page PDF.`);
+        }
+    }
+
+    if (pageLimit > 0 && pages.length > pageLimit) {
+        pages = pageLimit === 1 ? [pages[pages.length - 1]] : [...pages.slice(0, pageLimit - 1), pages[pages.length - 1]];
+    }
+    return pages;
+}
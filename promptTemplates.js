@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { ANALYSIS_RESPONSE_SCHEMAS } from './responseSchemas.js';
+
+/**
+ * Prompt templates, loaded from versioned YAML files instead of being hardcoded.
+ *
+ *   prompt_templates/base/<REPORT_TYPE>.yaml   one per report type
+ *   prompt_templates/overrides/**.yaml         optional, scoped with applies_to: { database, supplier }
+ *
+ * A template file has: id, version (integer), report_type, placeholders (every {name} it uses), criteria,
+ * fix_description and template. Overrides may leave out any of placeholders/criteria/fix_description/template to
+ * inherit them from the base file. Loading fails if a template uses a placeholder it does not declare, declares
+ * one that nothing fills, or declares one it never uses.
+ */
+
+/**
+ * Placeholders the analyzer can fill, with what they expand to.
+ */
+export const PROMPT_PLACEHOLDERS = {
+    file_name: 'Invoice file name',
+    json_data: 'Invoice document as pretty-printed JSON',
+    pdf_content_section: 'Extracted PDF text, or a note that it is not available',
+    criteria_list: "The template's criteria, joined with '; ' (criteria may use other placeholders)",
+    current_date: 'Today as YYYY-MM-DD',
+    exception_diff: 'diff of the INV_AMOUNT_VARIANCE header exception',
+    po_num_value: "The invoice's po_num",
+    ship_to_value: "The invoice's ship_to",
+    duplicate_context: 'The duplicate cluster: every member with its key fields and PDF hash, original and this invoice marked',
+    response_format: 'JSON answer format, with reason codes from responseSchemas.js and the fix_description'
+};
+
+const PLACEHOLDER_PATTERN = /\{([a-z_]+)\}/g;
+const INHERITED_FIELDS = ['placeholders', 'criteria', 'fix_description', 'template'];
+
+/**
+ * Raised when template files are missing, malformed or fail placeholder validation. `problems` lists every issue found.
+ */
+export class PromptTemplateError extends Error {
+    constructor(problems) {
+        super(`Invalid prompt templates:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'PromptTemplateError';
+        this.problems = problems;
+    }
+}
+
+// Shared answer-format block; the allowed reason codes come from the response schema so both stay in sync.
+function jsonResponseFormat(reportType, fixDescription) {
+    const reasonCodes = ANALYSIS_RESPONSE_SCHEMAS[reportType].properties.reason_code.enum;
+    return "Respond with ONLY a single JSON object (no markdown, no text before or after it) with exactly these keys:\n" +
+        "  \"reason\": the single most likely reason as a concise string,\n" +
+        `  "reason_code": one of ${reasonCodes.map(code => `"${code}"`).join(', ')},\n` +
+        `  "fix": ${fixDescription},\n` +
+        "  \"confidence\": integer 0-100, your confidence in the reason,\n" +
+        "  \"evidence\": array of short strings quoting the JSON fields or PDF lines you relied on.";
+}
+
+const usedPlaceholders = text => new Set([...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]));
+
+function validateTemplate(template, label) {
+    const problems = [];
+    if (!template.id || typeof template.id !== 'string') problems.push(`${label}: 'id' is required`);
+    if (!Number.isInteger(template.version) || template.version < 1) problems.push(`${label}: 'version' must be a positive integer`);
+    if (!ANALYSIS_RESPONSE_SCHEMAS[template.report_type]) problems.push(`${label}: unknown report_type '${template.report_type}'`);
+    if (typeof template.template !== 'string' || !template.template.trim()) problems.push(`${label}: 'template' text is required`);
+    if (!Array.isArray(template.placeholders)) problems.push(`${label}: 'placeholders' must list the placeholders the template uses`);
+    if (!Array.isArray(template.criteria) || template.criteria.some(item => typeof item !== 'string')) problems.push(`${label}: 'criteria' must be a list of strings`);
+    if (problems.length > 0) return problems;
+
+    const declared = new Set(template.placeholders);
+    const used = usedPlaceholders([template.template, ...template.criteria].join('\n'));
+    for (const name of declared) {
+        if (!PROMPT_PLACEHOLDERS[name]) problems.push(`${label}: placeholder {${name}} is declared but nothing fills it`);
+        else if (!used.has(name)) problems.push(`${label}: placeholder {${name}} is declared but never used`);
+    }
+    for (const name of used) {
+        if (!declared.has(name)) problems.push(`${label}: placeholder {${name}} is used but not declared`);
+    }
+    if (declared.has('response_format') && typeof template.fix_description !== 'string') {
+        problems.push(`${label}: {response_format} needs a 'fix_description'`);
+    }
+    return problems;
+}
+
+async function listYamlFiles(dir) {
+    let entries;
+    try {
+        entries = await fsPromises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await listYamlFiles(entryPath));
+        else if (/\.ya?ml$/i.test(entry.name)) files.push(entryPath);
+    }
+    return files;
+}
+
+function finalizeTemplate(definition, source) {
+    const { applies_to: appliesTo = {}, ...fields } = definition;
+    const template = {
+        ...fields,
+        scope: { database: appliesTo.database || null, supplier: appliesTo.supplier || null },
+        source
+    };
+    // Content hash: a result is only reused on resume when it was produced from identical template content.
+    template.hash = crypto.createHash('sha256')
+        .update(JSON.stringify([template.template, template.criteria, template.fix_description, template.placeholders]))
+        .digest('hex').substring(0, 12);
+    return template;
+}
+
+/**
+ * Loads and validates every template under rootDir.
+ * @param {string} rootDir - The prompt_templates directory.
+ * @returns {Promise<{ base: object, overrides: Array<object> }>} base templates by report type, and scoped overrides.
+ * @throws {PromptTemplateError} Listing every problem found, so all of them can be fixed in one go.
+ */
+export async function loadPromptTemplates(rootDir) {
+    const problems = [];
+    const readDefinition = async filePath => {
+        const label = path.relative(rootDir, filePath);
+        try {
+            const definition = YAML.parse(await fsPromises.readFile(filePath, 'utf8'));
+            if (!definition || typeof definition !== 'object' || Array.isArray(definition)) throw new Error('top-level value must be a mapping');
+            return { label, definition };
+        } catch (error) {
+            problems.push(`${label}: ${error.message.split('\n')[0]}`);
+            return null;
+        }
+    };
+
+    const base = {};
+    for (const filePath of await listYamlFiles(path.join(rootDir, 'base'))) {
+        const loaded = await readDefinition(filePath);
+        if (!loaded) continue;
+        const template = finalizeTemplate(loaded.definition, loaded.label);
+        const templateProblems = validateTemplate(template, loaded.label);
+        problems.push(...templateProblems);
+        if (templateProblems.length > 0) continue;
+        if (base[template.report_type]) problems.push(`${loaded.label}: duplicate base template for ${template.report_type} (also in ${base[template.report_type].source})`);
+        else base[template.report_type] = template;
+    }
+    if (Object.keys(base).length === 0 && problems.length === 0) problems.push(`no base templates found in ${path.join(rootDir, 'base')}`);
+
+    const overrides = [];
+    for (const filePath of await listYamlFiles(path.join(rootDir, 'overrides'))) {
+        const loaded = await readDefinition(filePath);
+        if (!loaded) continue;
+        const { definition, label } = loaded;
+        if (!definition.applies_to?.database && !definition.applies_to?.supplier) {
+            problems.push(`${label}: overrides need applies_to.database and/or applies_to.supplier`);
+            continue;
+        }
+        const baseTemplate = base[definition.report_type] || {};
+        const inherited = Object.fromEntries(INHERITED_FIELDS.filter(field => definition[field] === undefined && baseTemplate[field] !== undefined).map(field => [field, baseTemplate[field]]));
+        const template = finalizeTemplate({ ...inherited, ...definition }, label);
+        const templateProblems = validateTemplate(template, label);
+        problems.push(...templateProblems);
+        if (templateProblems.length > 0) continue;
+
+        const clash = overrides.find(other => other.report_type === template.report_type &&
+            other.scope.database === template.scope.database && other.scope.supplier === template.scope.supplier);
+        if (clash) problems.push(`${label}: same report type and applies_to as ${clash.source}`);
+        else overrides.push(template);
+    }
+
+    if (problems.length > 0) throw new PromptTemplateError(problems);
+    return { base, overrides };
+}
+
+/**
+ * Picks the most specific template for an invoice: database + supplier, then supplier, then database, then base.
+ * @param {{ base: object, overrides: Array<object> }} registry - From loadPromptTemplates.
+ * @param {string} reportType - Report type being analyzed.
+ * @param {{ database?: string, supplier?: string }} context
+ * @returns {object|null} The template, or null when the report type has none.
+ */
+export function selectPromptTemplate(registry, reportType, { database, supplier } = {}) {
+    const candidates = registry.overrides.filter(template => template.report_type === reportType &&
+        (!template.scope.database || template.scope.database === database) &&
+        (!template.scope.supplier || template.scope.supplier === supplier));
+    const specificity = template => (template.scope.supplier ? 2 : 0) + (template.scope.database ? 1 : 0);
+    candidates.sort((a, b) => specificity(b) - specificity(a));
+    return candidates[0] || registry.base[reportType] || null;
+}
+
+/**
+ * Fills a template. Every placeholder occurrence is replaced (criteria first, so placeholders inside criteria are
+ * filled too); values are inserted verbatim and never scanned for placeholders themselves.
+ * @param {object} template - From selectPromptTemplate.
+ * @param {object} values - Placeholder values; criteria_list and response_format are derived from the template.
+ * @returns {string} The prompt.
+ * @throws {PromptTemplateError} When a declared placeholder has no value.
+ */
+export function renderPromptTemplate(template, values) {
+    const allValues = {
+        ...values,
+        response_format: jsonResponseFormat(template.report_type, template.fix_description)
+    };
+    const text = template.template.replace(/\{criteria_list\}/g, template.criteria.join('; '));
+    const missing = template.placeholders.filter(name => name !== 'criteria_list' && (allValues[name] === undefined || allValues[name] === null));
+    if (missing.length > 0) {
+        throw new PromptTemplateError(missing.map(name => `${template.source}: no value for placeholder {${name}}`));
+    }
+    return text.replace(PLACEHOLDER_PATTERN, (match, name) => (template.placeholders.includes(name) ? String(allValues[name]) : match));
+}
@@ -0,0 +1,225 @@
+/**
+ * Schemas for the structured JSON the model must return, plus a small validator for the subset of
+ * JSON Schema they use (type, enum, required, properties, additionalProperties: false, minProperties,
+ * items, minItems, maxItems, minLength, minimum, maximum).
+ */
+
+const textList = { type: 'array', items: { type: 'string' } };
+
+function analysisEnvelope(reasonCodes, fixSchema) {
+    return {
+        type: 'object',
+        required: ['reason', 'reason_code', 'fix', 'confidence', 'evidence'],
+        additionalProperties: false,
+        properties: {
+            reason: { type: 'string', minLength: 1 },
+            reason_code: { type: 'string', enum: [...reasonCodes, 'OTHER'] },
+            fix: fixSchema ? { type: ['object', 'null'], ...fixSchema } : { type: 'null' },
+            confidence: { type: 'integer', minimum: 0, maximum: 100 },
+            evidence: textList
+        }
+    };
+}
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+export const ANALYSIS_RESPONSE_SCHEMAS = {
+    PENDING_CONFIRMATION: analysisEnvelope(
+        ['MISSING_INV_NUM', 'ZERO_TOTAL', 'MISSING_LINE_ITEMS', 'MISSING_INV_DATE', 'FUTURE_INV_DATE', 'MISSING_SUPPLIER', 'NO_CRITERIA_MET'],
+        { required: ['inv_num'], additionalProperties: false, properties: { inv_num: nonEmptyString } }
+    ),
+    INV_AMOUNT_VARIANCE: analysisEnvelope(
+        ['LINE_ITEMS_SUBTOTAL_MISMATCH', 'HEADER_TOTAL_MISMATCH', 'DISCOUNT_NOT_APPLIED', 'SHIPPING_DUPLICATED', 'MISSING_CHARGE', 'LINE_ITEM_EXTENSION_MISMATCH'],
+        {
+            minProperties: 1, additionalProperties: false,
+            properties: {
+                shipping: { type: 'number', minimum: 0 }, taxes: { type: 'number', minimum: 0 },
+                discount_amount: { type: 'number', minimum: 0 }, sub_total: { type: 'number' }, total: { type: 'number' }
+            }
+        }
+    ),
+    PO_NOT_FOUND: analysisEnvelope(
+        ['MISSING_PO_NUM', 'PO_NUM_FORMAT', 'PO_NOT_REQUIRED'],
+        { required: ['po_num'], additionalProperties: false, properties: { po_num: nonEmptyString } }
+    ),
+    ITEM_UNMATCHED: analysisEnvelope(
+        ['LINE_ITEM_MISSING_SKU', 'VAGUE_DESCRIPTION', 'LINE_ITEM_NON_POSITIVE_VALUES', 'LINE_ITEM_EXTENSION_MISMATCH'],
+        {
+            required: ['line_item_updates'], additionalProperties: false,
+            properties: {
+                line_item_updates: {
+                    type: 'array', minItems: 1,
+                    items: {
+                        type: 'object', required: ['identifier', 'corrections'], additionalProperties: false,
+                        properties: {
+                            identifier: {
+                                type: 'object', minProperties: 1, additionalProperties: false,
+                                properties: { name: nonEmptyString, supplier_product_id: nonEmptyString }
+                            },
+                            corrections: {
+                                type: 'object', minProperties: 1, additionalProperties: false,
+                                properties: {
+                                    supplier_product_id: nonEmptyString, name: nonEmptyString,
+                                    qty: { type: 'number', minimum: 0 }, unit_price: { type: 'number', minimum: 0 }, price: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    ),
+    UNASSIGNED: analysisEnvelope(
+        ['MISSING_SUPPLIER', 'MISSING_IDENTIFIERS', 'AMBIGUOUS_ADDRESS'],
+        { required: ['supplier'], additionalProperties: false, properties: { supplier: nonEmptyString } }
+    ),
+    SHIPTOISSUE: analysisEnvelope(
+        ['EMPTY_SHIP_TO', 'INCOMPLETE_SHIP_TO', 'INVALID_SHIP_TO_FORMAT', 'SHIP_TO_MISMATCH'],
+        {
+            required: ['ship_to', 'confidence'], additionalProperties: false,
+            properties: { ship_to: nonEmptyString, confidence: { type: 'integer', minimum: 0, maximum: 100 } }
+        }
+    ),
+    // Duplicates are resolved by archiving one invoice, not by editing fields, so there is never a fix.
+    // SUSPECTED_ORIGINAL is set by the cluster rules (duplicateDetection.js) for the invoice the others duplicate.
+    DUPLICATE_INVOICE: analysisEnvelope(['EXACT_DUPLICATE', 'RESENT_DUPLICATE', 'CORRECTED_REISSUE', 'SUSPECTED_ORIGINAL', 'NOT_DUPLICATE'], null)
+};
+
+// Used for report types without a template: any fix object is accepted.
+export const GENERIC_ANALYSIS_RESPONSE_SCHEMA = analysisEnvelope([], { additionalProperties: true });
+
+// Answer to the cross-invoice root-cause prompt (rootCauseSummary.js): a few systemic causes, each tied to the
+// result patterns it explains.
+export const ROOT_CAUSE_SUMMARY_SCHEMA = {
+    type: 'object',
+    required: ['root_causes'],
+    additionalProperties: false,
+    properties: {
+        root_causes: {
+            type: 'array', maxItems: 5,
+            items: {
+                type: 'object', required: ['title', 'description', 'suggested_upstream_fix', 'pattern_ids', 'confidence'], additionalProperties: false,
+                properties: {
+                    title: nonEmptyString, description: nonEmptyString, suggested_upstream_fix: nonEmptyString,
+                    pattern_ids: { type: 'array', minItems: 1, items: nonEmptyString },
+                    confidence: { type: 'integer', minimum: 0, maximum: 100 }
+                }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value - Value to check.
+ * @param {object} schema - Schema in the supported subset.
+ * @param {string} [pointer] - Path prefix used in error messages.
+ * @returns {string[]} Human-readable errors; empty when valid.
+ */
+export function validateAgainstSchema(value, schema, pointer = '$') {
+    const errors = [];
+    const allowedTypes = schema.type ? [].concat(schema.type) : null;
+    const actualType = typeOf(value);
+    if (allowedTypes && !allowedTypes.includes(actualType) && !(actualType === 'integer' && allowedTypes.includes('number'))) {
+        return [`${pointer} should be ${allowedTypes.join(' or ')}, got ${actualType}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${pointer} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (actualType === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${pointer} should not be empty`);
+    }
+    if ((actualType === 'number' || actualType === 'integer')) {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${pointer} should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${pointer} should be <= ${schema.maximum}`);
+    }
+
+    if (actualType === 'object') {
+        const keys = Object.keys(value);
+        for (const requiredKey of schema.required || []) {
+            if (!(requiredKey in value)) errors.push(`${pointer}.${requiredKey} is required`);
+        }
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push(`${pointer} should have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+        for (const key of keys) {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                errors.push(...validateAgainstSchema(value[key], propertySchema, `${pointer}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${pointer}.${key} is not an allowed property`);
+            }
+        }
+    }
+
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${pointer} should have at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${pointer} should have at most ${schema.maxItems} item(s)`);
+        if (schema.items) value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${pointer}[${index}]`)));
+    }
+    return errors;
+}
+
+/**
+ * Validates a fix object on its own, e.g. one edited by a reviewer, against the report type's fix schema.
+ * @param {object} fix - The suggested fix.
+ * @param {string} reportType - Report type whose schema applies.
+ * @returns {string[]} Human-readable errors; empty when valid.
+ */
+export function validateSuggestedFix(fix, reportType) {
+    const schema = (ANALYSIS_RESPONSE_SCHEMAS[reportType] || GENERIC_ANALYSIS_RESPONSE_SCHEMA).properties.fix;
+    if (schema.type === 'null') return ['$.fix: this report type does not take a fix'];
+    return validateAgainstSchema(fix, { ...schema, type: 'object' }, '$.fix');
+}
+
+/**
+ * Parses a model answer that must be a single JSON object. A surrounding ```json fence is tolerated;
+ * anything else around the object is treated as invalid rather than sliced away.
+ * @param {string} text - Raw model output.
+ * @param {string} reportType - Report type whose schema applies.
+ * @returns {{ valid: boolean, value: object|null, errors: string[] }}
+ */
+export function parseStructuredResponse(text, reportType) {
+    return parseJsonResponse(text, ANALYSIS_RESPONSE_SCHEMAS[reportType] || GENERIC_ANALYSIS_RESPONSE_SCHEMA);
+}
+
+/**
+ * parseStructuredResponse for any schema.
+ * @param {string} text - Raw model output.
+ * @param {object} schema - Schema in the supported subset.
+ * @returns {{ valid: boolean, value: object|null, errors: string[] }}
+ */
+export function parseJsonResponse(text, schema) {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    const candidate = fenced ? fenced[1] : trimmed;
+
+    let value;
+    try {
+        value = JSON.parse(candidate);
+    } catch (error) {
+        return { valid: false, value: null, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const errors = validateAgainstSchema(value, schema);
+    return { valid: errors.length === 0, value: errors.length === 0 ? value : null, errors };
+}
+
+/**
+ * Builds the one-shot repair prompt sent when a response fails validation.
+ */
+export function buildRepairPrompt(originalPrompt, invalidResponse, errors) {
+    return `${originalPrompt}\n\n` +
+        `Your previous answer did not match the required JSON format.\n` +
+        `Validation errors:\n${errors.map(error => `- ${error}`).join('\n')}\n` +
+        `Previous answer:\n${String(invalidResponse || '').substring(0, 2000)}\n\n` +
+        `Respond again with ONLY the corrected JSON object, no markdown and no extra text.`;
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+/**
+ * Reviewer decisions on suggested fixes, shared by the review console (index.js review) and dbUpdateScript.js.
+ *
+ * Decisions are stored in one JSON file keyed by "<database>/<_id>:<report_type>" ("<_id>:<report_type>" for results
+ * that do not record their database), since regional databases can hold the same _id. Each records a fingerprint of the fix it
+ * was made on: when a later analysis suggests something different, the old decision no longer applies and the new
+ * suggestion is reviewed again. An approval carries the fix to apply, which is the suggestion or the reviewer's edit.
+ */
+
+export const REVIEW_DECISIONS_FILE_NAME = 'reviewDecisions.json';
+export const REVIEW_DECISION_VALUES = ['approved', 'rejected'];
+const REVIEW_STORE_VERSION = 1;
+
+/**
+ * Raised for a decision that cannot be recorded as given (unknown decision, result without _id).
+ */
+export class ReviewDecisionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReviewDecisionError';
+    }
+}
+
+/**
+ * Decision key for an analysis result, or null when the result has no document identity.
+ * @param {object} result - One analysis result.
+ * @returns {string|null}
+ */
+export function reviewKey(result) {
+    const id = result?.original_data_snippet?._id;
+    if (!id) return null;
+    return result.database_name ? `${result.database_name}/${id}:${result.report_type}` : `${id}:${result.report_type}`;
+}
+
+/**
+ * Short content hash of a suggested fix, so a decision is tied to the exact suggestion it was made on.
+ * @param {object|null} fix - suggested_fix_data.
+ * @returns {string|null}
+ */
+export function fixFingerprint(fix) {
+    if (!fix) return null;
+    return crypto.createHash('sha256').update(JSON.stringify(fix)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Reads the decision store; a missing file yields an empty one.
+ * @param {string} filePath - Path to reviewDecisions.json.
+ * @returns {Promise<{ version: number, decisions: object }>}
+ */
+export async function readReviewDecisions(filePath) {
+    try {
+        const store = JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
+        return { version: REVIEW_STORE_VERSION, decisions: {}, ...store };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { version: REVIEW_STORE_VERSION, decisions: {} };
+        throw error;
+    }
+}
+
+/**
+ * The decision that applies to a result's current suggestion, or null when it is unreviewed.
+ * @param {{ decisions: object }} store - From readReviewDecisions.
+ * @param {object} result - One analysis result.
+ * @returns {object|null}
+ */
+export function getReviewDecision(store, result) {
+    const key = reviewKey(result);
+    const decision = key ? store.decisions[key] : null;
+    if (!decision || decision.fix_fingerprint !== fixFingerprint(result.suggested_fix_data)) return null;
+    return decision;
+}
+
+// Serializes writers in this process: the review server can receive decisions back to back.
+let writeQueue = Promise.resolve();
+
+/**
+ * Records (or replaces) the decision for a result and writes the store via a temp file and rename.
+ * @param {string} filePath - Path to reviewDecisions.json.
+ * @param {object} result - The analysis result being decided on.
+ * @param {{ decision: string, approvedFix?: object|null, note?: string|null, reviewer?: string|null, source: string }} input
+ *   `approvedFix` defaults to the suggested fix for approvals; `source` is where the decision was made (web, terminal).
+ * @returns {Promise<object>} The stored decision.
+ * @throws {ReviewDecisionError} For an unknown decision or a result without _id; file errors are thrown as they are.
+ */
+export async function recordReviewDecision(filePath, result, { decision, approvedFix, note = null, reviewer = null, source }) {
+    const key = reviewKey(result);
+    if (!key) throw new ReviewDecisionError('Result has no _id in original_data_snippet; re-run the analysis before reviewing it.');
+    if (!REVIEW_DECISION_VALUES.includes(decision)) throw new ReviewDecisionError(`Unknown decision '${decision}'. Expected one of: ${REVIEW_DECISION_VALUES.join(', ')}.`);
+
+    const fix = decision === 'approved' ? (approvedFix ?? result.suggested_fix_data) : null;
+    const record = {
+        invoice_id: result.original_data_snippet._id,
+        database_name: result.database_name || null,
+        report_type: result.report_type,
+        file_name: result.original_data_snippet.file_name || null,
+        inv_num: result.original_data_snippet.inv_num || null,
+        decision,
+        fix_fingerprint: fixFingerprint(result.suggested_fix_data),
+        approved_fix: fix,
+        edited: decision === 'approved' && fixFingerprint(fix) !== fixFingerprint(result.suggested_fix_data),
+        note: note || null,
+        reviewer: reviewer || null,
+        source,
+        decided_at: new Date().toISOString()
+    };
+
+    const write = writeQueue.then(async () => {
+        const store = await readReviewDecisions(filePath);
+        store.decisions[key] = record;
+        await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fsPromises.writeFile(tempPath, JSON.stringify({ ...store, version: REVIEW_STORE_VERSION, updated_at: record.decided_at }, null, 2));
+        await fsPromises.rename(tempPath, filePath);
+        return record;
+    });
+    writeQueue = write.catch(() => { });
+    return write;
+}
@@ -0,0 +1,278 @@
+import fs from 'fs';
+import http from 'http';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Local review console: a small HTTP server (no dependencies beyond node:http) for going through the suggested
+ * fixes of the latest analysis run with the PDF, the Mongo fields, the OCR text and the AI reason side by side.
+ *
+ * The server only knows routes and rendering; data access is supplied by the caller as a source object:
+ *   listInvoices() -> Promise<Array<object>>
+ *   getInvoice(key) -> Promise<object|null>
+ *   resolvePdf(key) -> Promise<string|null>       absolute path of the downloaded PDF
+ *   recordDecision(key, body) -> Promise<object>  throws ReviewRequestError for bad input
+ * `key` is the analysis result key ("<database>/<_id>:<report_type>").
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error for requests the server should answer with a 4xx status instead of a 500.
+ */
+export class ReviewRequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReviewRequestError';
+        this.status = status;
+    }
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+async function readJsonBody(request) {
+    // Requiring application/json keeps plain cross-site form posts from reaching the decision endpoint.
+    if (!String(request.headers['content-type'] || '').startsWith('application/json')) {
+        throw new ReviewRequestError('Expected an application/json body.', 415);
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new ReviewRequestError('Request body too large.', 413);
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (error) {
+        throw new ReviewRequestError(`Invalid JSON body: ${error.message}`);
+    }
+}
+
+async function handleRequest(source, request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let segments;
+    try {
+        segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+        throw new ReviewRequestError(`Malformed URL: ${pathname}`);
+    }
+
+    if (request.method === 'GET' && segments.length === 0) {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        response.end(REVIEW_PAGE);
+        return;
+    }
+    if (segments[0] === 'api' && segments[1] === 'invoices') {
+        if (request.method === 'GET' && segments.length === 2) {
+            sendJson(response, 200, await source.listInvoices());
+            return;
+        }
+        if (request.method === 'GET' && segments.length === 3) {
+            const invoice = await source.getInvoice(segments[2]);
+            if (!invoice) throw new ReviewRequestError(`No analysis result for ${segments[2]}.`, 404);
+            sendJson(response, 200, invoice);
+            return;
+        }
+        if (request.method === 'POST' && segments.length === 4 && segments[3] === 'decision') {
+            sendJson(response, 200, await source.recordDecision(segments[2], await readJsonBody(request)));
+            return;
+        }
+    }
+    if (request.method === 'GET' && segments[0] === 'pdf' && segments.length === 2) {
+        const pdfPath = await source.resolvePdf(segments[1]);
+        if (!pdfPath) throw new ReviewRequestError(`No downloaded PDF for ${segments[1]}.`, 404);
+        response.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Disposition': 'inline' });
+        await pipeline(fs.createReadStream(pdfPath), response);
+        return;
+    }
+    throw new ReviewRequestError(`Not found: ${request.method} ${pathname}`, 404);
+}
+
+/**
+ * Creates the review server (not yet listening).
+ * @param {object} source - Data access, see the module comment.
+ * @param {{ onError?: (error: Error) => void }} [options] - onError is called for unexpected (500) errors.
+ * @returns {http.Server}
+ */
+export function createReviewServer(source, { onError = () => { } } = {}) {
+    return http.createServer((request, response) => {
+        handleRequest(source, request, response).catch(error => {
+            const status = error instanceof ReviewRequestError ? error.status : 500;
+            if (status === 500) onError(error);
+            if (response.headersSent) {
+                response.destroy(error);
+            } else {
+                sendJson(response, status, { error: error.message });
+            }
+        });
+    });
+}
+
+const REVIEW_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice fix review</title>
+<style>
+body{margin:0;font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;font-size:14px;color:#1f2328;display:flex;height:100vh}
+#sidebar{width:340px;border-right:1px solid #d1d9e0;display:flex;flex-direction:column}
+#sidebar header{padding:10px;border-bottom:1px solid #d1d9e0;display:flex;flex-direction:column;gap:6px}
+#list{overflow:auto;flex:1}.item{padding:8px 10px;border-bottom:1px solid #eef1f4;cursor:pointer}.item:hover,.item.active{background:#f0f6ff}
+.item .name{font-weight:600;word-break:break-all}.muted{color:#8c959f;font-size:12px}
+.badge{display:inline-block;padding:0 6px;border-radius:8px;font-size:11px;margin-left:4px;background:#eef1f4}
+.badge.approved{background:#dafbe1;color:#1a7f37}.badge.rejected{background:#ffebe9;color:#cf222e}.badge.pending{background:#fff8c5;color:#9a6700}
+#main{flex:1;display:flex;min-width:0}#pdf{flex:1;border:0;border-right:1px solid #d1d9e0;min-width:0}
+#detail{width:48%;overflow:auto;padding:12px 16px}#nopdf{flex:1;display:flex;align-items:center;justify-content:center;color:#8c959f;border-right:1px solid #d1d9e0}
+h2{font-size:16px;margin:0 0 6px}h3{font-size:13px;margin:14px 0 6px;text-transform:uppercase;color:#59636e}
+table{border-collapse:collapse;width:100%}td,th{border:1px solid #d1d9e0;padding:4px 6px;text-align:left;vertical-align:top;font-size:13px}
+.cur{text-decoration:line-through;color:#cf222e}.sug{color:#1a7f37;font-weight:600}
+textarea{width:100%;min-height:120px;font-family:ui-monospace,Menlo,monospace;font-size:12px;box-sizing:border-box}
+input[type=text]{width:100%;box-sizing:border-box}pre{white-space:pre-wrap;font-size:12px;background:#f6f8fa;padding:8px;max-height:400px;overflow:auto}
+.actions{display:flex;gap:8px;margin-top:8px}button{padding:6px 12px;cursor:pointer}#message{margin-top:6px}.error{color:#cf222e}
+</style>
+</head>
+<body>
+<div id="sidebar">
+<header>
+<label>Reviewer <input id="reviewer" type="text" placeholder="your name"></label>
+<label>Show <select id="filter"><option value="pending">Pending review</option><option value="approved">Approved</option><option value="rejected">Rejected</option><option value="nofix">No suggested fix</option><option value="all">All</option></select></label>
+<span class="muted" id="counts"></span>
+</header>
+<div id="list"></div>
+</div>
+<div id="main"><div id="nopdf">Select an invoice</div><div id="detail"></div></div>
+<script>
+(function () {
+    var state = { invoices: [], current: null };
+    var reviewer = document.getElementById('reviewer'), filter = document.getElementById('filter');
+    reviewer.value = localStorage.getItem('reviewer') || '';
+    reviewer.addEventListener('change', function () { localStorage.setItem('reviewer', reviewer.value); });
+    filter.addEventListener('change', renderList);
+
+    function el(tag, props, children) {
+        var node = document.createElement(tag);
+        Object.keys(props || {}).forEach(function (key) { if (key === 'text') node.textContent = props[key]; else node.setAttribute(key, props[key]); });
+        (children || []).forEach(function (child) { if (child) node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child); });
+        return node;
+    }
+    function show(value) { return value === undefined || value === null || value === '' ? '\\u2205' : (typeof value === 'object' ? JSON.stringify(value) : String(value)); }
+    function status(invoice) { return invoice.has_fix ? (invoice.decision || 'pending') : 'nofix'; }
+    function api(path, options) {
+        return fetch(path, options).then(function (response) {
+            return response.json().then(function (body) { if (!response.ok) throw new Error(body.error || response.statusText); return body; });
+        });
+    }
+
+    function loadList() {
+        return api('/api/invoices').then(function (invoices) { state.invoices = invoices; renderList(); });
+    }
+    function renderList() {
+        var list = document.getElementById('list'), counts = {};
+        list.textContent = '';
+        state.invoices.forEach(function (invoice) {
+            var s = status(invoice);
+            counts[s] = (counts[s] || 0) + 1;
+            if (filter.value !== 'all' && filter.value !== s) return;
+            var item = el('div', { class: 'item' + (state.current === invoice.key ? ' active' : '') }, [
+                el('div', { class: 'name', text: invoice.inv_num || invoice.file_name || invoice.key }),
+                el('div', { class: 'muted' }, [invoice.report_type + ' \\u00b7 ' + invoice.supplier + ' \\u00b7 conf ' + show(invoice.confidence),
+                    el('span', { class: 'badge ' + s, text: s })])
+            ]);
+            item.addEventListener('click', function () { openInvoice(invoice.key); });
+            list.appendChild(item);
+        });
+        document.getElementById('counts').textContent = ['pending', 'approved', 'rejected', 'nofix'].map(function (s) { return s + ': ' + (counts[s] || 0); }).join(' \\u00b7 ');
+    }
+
+    function openInvoice(key) {
+        state.current = key;
+        renderList();
+        api('/api/invoices/' + encodeURIComponent(key)).then(renderDetail).catch(function (error) {
+            document.getElementById('detail').textContent = error.message;
+        });
+    }
+
+    function renderDetail(invoice) {
+        var main = document.getElementById('main'), detail = document.getElementById('detail');
+        var viewer = invoice.pdf_available
+            ? el('iframe', { id: 'pdf', src: '/pdf/' + encodeURIComponent(invoice.key) })
+            : el('div', { id: 'nopdf', text: 'PDF not downloaded' });
+        main.replaceChild(viewer, main.firstElementChild);
+        detail.textContent = '';
+        var result = invoice.result;
+
+        detail.appendChild(el('h2', { text: (invoice.document.inv_num || '') + ' ' + (invoice.document.file_name || invoice.key) }));
+        detail.appendChild(el('div', { class: 'muted', text: result.report_type + ' \\u00b7 ' + (result.supplier || 'N/A') + ' \\u00b7 ' + result.analysis_source +
+            (result.reason_code ? ' \\u00b7 ' + result.reason_code : '') + ' \\u00b7 confidence ' + show(result.confidence) }));
+        if (invoice.decision) {
+            detail.appendChild(el('div', {}, [el('span', { class: 'badge ' + invoice.decision.decision, text: invoice.decision.decision }),
+                ' by ' + show(invoice.decision.reviewer) + ' at ' + invoice.decision.decided_at + (invoice.decision.note ? ': ' + invoice.decision.note : '')]));
+        }
+
+        detail.appendChild(el('h3', { text: 'AI reason' }));
+        detail.appendChild(el('div', { text: result.reason_from_gemma || '' }));
+        if ((result.evidence || []).length) detail.appendChild(el('ul', {}, result.evidence.map(function (e) { return el('li', { text: e }); })));
+
+        detail.appendChild(el('h3', { text: 'Suggested fix' }));
+        if (invoice.fix_changes.length) {
+            detail.appendChild(el('table', {}, [el('tr', {}, [el('th', { text: 'Field' }), el('th', { text: 'Current' }), el('th', { text: 'Suggested' })])].concat(
+                invoice.fix_changes.map(function (c) { return el('tr', {}, [el('td', { text: c.field }), el('td', { class: 'cur', text: show(c.current) }), el('td', { class: 'sug', text: show(c.suggested) })]); }))));
+        }
+        if (result.suggested_fix_data) {
+            var editor = el('textarea', {});
+            editor.value = JSON.stringify(invoice.decision && invoice.decision.approved_fix || result.suggested_fix_data, null, 2);
+            var note = el('input', { type: 'text', placeholder: 'Note (required to reject)' });
+            var message = el('div', { id: 'message' });
+            var decide = function (decision) {
+                var body = { decision: decision, note: note.value, reviewer: reviewer.value };
+                if (decision === 'approved') {
+                    try { body.fix = JSON.parse(editor.value); } catch (error) { message.className = 'error'; message.textContent = 'Fix is not valid JSON: ' + error.message; return; }
+                }
+                api('/api/invoices/' + encodeURIComponent(invoice.key) + '/decision', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+                    .then(function () { return loadList(); })
+                    .then(function () {
+                        var next = state.invoices.filter(function (i) { return status(i) === 'pending'; })[0];
+                        if (next) openInvoice(next.key); else openInvoice(invoice.key);
+                    })
+                    .catch(function (error) { message.className = 'error'; message.textContent = error.message; });
+            };
+            var approve = el('button', { text: 'Approve (as edited)' }), reject = el('button', { text: 'Reject' });
+            approve.addEventListener('click', function () { decide('approved'); });
+            reject.addEventListener('click', function () { decide('rejected'); });
+            detail.appendChild(editor);
+            detail.appendChild(note);
+            detail.appendChild(el('div', { class: 'actions' }, [approve, reject]));
+            detail.appendChild(message);
+        } else {
+            detail.appendChild(el('div', { class: 'muted', text: 'No fix was suggested for this invoice.' }));
+        }
+
+        detail.appendChild(el('h3', { text: 'Mongo fields' }));
+        var doc = invoice.document;
+        detail.appendChild(el('table', {}, Object.keys(doc).filter(function (k) { return k !== 'line_items'; }).map(function (k) {
+            return el('tr', {}, [el('th', { text: k }), el('td', { text: show(doc[k]) })]);
+        })));
+        if ((doc.line_items || []).length) {
+            var columns = Object.keys(doc.line_items.reduce(function (all, item) { return Object.assign(all, item); }, {}));
+            detail.appendChild(el('h3', { text: 'Line items' }));
+            detail.appendChild(el('table', {}, [el('tr', {}, columns.map(function (c) { return el('th', { text: c }); }))].concat(
+                doc.line_items.map(function (item) { return el('tr', {}, columns.map(function (c) { return el('td', { text: show(item[c]) }); })); }))));
+        }
+
+        detail.appendChild(el('h3', { text: 'OCR / text layer' }));
+        detail.appendChild(invoice.extracted_text ? el('pre', { text: invoice.extracted_text }) : el('div', { class: 'muted', text: 'No cached extraction for this PDF.' }));
+    }
+
+    loadList().then(function () {
+        var first = state.invoices.filter(function (i) { return status(i) === 'pending'; })[0];
+        if (first) openInvoice(first.key);
+    }).catch(function (error) { document.getElementById('list').textContent = error.message; });
+})();
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,148 @@
+import { FAILED_ANALYSIS_SOURCES, describeSuggestedFix, formatValue } from './htmlReport.js';
+
+/**
+ * Cross-invoice root-cause summary of an analysis run.
+ *
+ * Successful per-invoice results are grouped into patterns (same supplier, report type and reason code, with similar
+ * reason text). The model is shown the patterns and asked for a few systemic causes with upstream fixes, naming the
+ * patterns each cause explains; counts and example invoices per cause are computed from those patterns, not taken
+ * from the model.
+ */
+
+export const ROOT_CAUSE_SUMMARY_FILE_NAME = 'rootCauseSummary.json';
+export const MIN_RESULTS_FOR_SUMMARY = 2; // One invoice says nothing about systemic causes.
+
+const REASON_SIMILARITY = 0.5; // Jaccard similarity of reason words for two results to share a pattern.
+const EXAMPLES_PER_PATTERN = 3;
+const EXAMPLES_PER_CAUSE = 5;
+const MAX_PATTERNS_IN_PROMPT = 40;
+const MAX_REASON_CHARS = 300;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'was', 'are', 'not', 'this', 'that', 'with', 'from', 'has', 'have', 'but', 'its', 'into', 'than']);
+
+// Reason words for similarity: lower case, numbers and ids collapsed to '#', short and stop words dropped.
+function reasonWords(reason) {
+    return new Set(String(reason || '').toLowerCase()
+        .replace(/[a-z]*\d[\w.,/-]*/g, '#')
+        .split(/[^a-z#]+/)
+        .filter(word => word === '#' || (word.length > 2 && !STOP_WORDS.has(word))));
+}
+
+function similarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    for (const word of a) if (b.has(word)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+const truncate = (text, limit) => (String(text ?? '').length > limit ? `${String(text).substring(0, limit)}...` : String(text ?? ''));
+
+/**
+ * Groups successful results into patterns.
+ * @param {object} analysisResults - analysisResults.json content, keyed by result key.
+ * @returns {{ totals: { results: number, analyzed: number, failed: number, patterns: number }, patterns: Array<object> }}
+ *   Patterns are largest first with ids P1, P2, ...; each has its count, the fields its fixes touch and a few examples.
+ */
+export function aggregateResultPatterns(analysisResults) {
+    const entries = Object.entries(analysisResults || {});
+    const analyzed = entries.filter(([, result]) => !FAILED_ANALYSIS_SOURCES.includes(result.analysis_source));
+    const patternsByGroup = new Map();
+    const patterns = [];
+
+    for (const [resultKey, result] of analyzed) {
+        const supplier = result.supplier || result.original_data_snippet?.supplier || 'N/A';
+        const groupKey = `${supplier}|${result.report_type}|${result.reason_code || 'NONE'}`;
+        const words = reasonWords(result.reason_from_gemma);
+        const candidates = patternsByGroup.get(groupKey) || [];
+        let pattern = candidates.find(candidate => similarity(candidate.words, words) >= REASON_SIMILARITY);
+        if (!pattern) {
+            pattern = {
+                words, supplier, report_type: result.report_type, reason_code: result.reason_code || null,
+                reason: result.reason_from_gemma, count: 0, by_source: {}, fix_fields: {}, examples: []
+            };
+            patternsByGroup.set(groupKey, [...candidates, pattern]);
+            patterns.push(pattern);
+        }
+
+        pattern.count++;
+        pattern.by_source[result.analysis_source] = (pattern.by_source[result.analysis_source] || 0) + 1;
+        const changes = describeSuggestedFix(result);
+        for (const change of changes) {
+            const field = change.field.replace(/^line_items\[.*?\]/, 'line_items[]');
+            pattern.fix_fields[field] = (pattern.fix_fields[field] || 0) + 1;
+        }
+        if (pattern.examples.length < EXAMPLES_PER_PATTERN) {
+            const snapshot = result.original_data_snippet || {};
+            pattern.examples.push({
+                result_key: resultKey, _id: snapshot._id || null, file_name: snapshot.file_name || resultKey, inv_num: snapshot.inv_num ?? null,
+                reason: result.reason_from_gemma, fix: changes.slice(0, 3)
+            });
+        }
+    }
+
+    patterns.sort((a, b) => b.count - a.count);
+    const finished = patterns.map(({ words, ...pattern }, index) => ({ pattern_id: `P${index + 1}`, ...pattern }));
+    return {
+        totals: { results: entries.length, analyzed: analyzed.length, failed: entries.length - analyzed.length, patterns: finished.length },
+        patterns: finished
+    };
+}
+
+/**
+ * The prompt asking for systemic root causes. Only the largest patterns are listed when there are many.
+ * @param {{ totals: object, patterns: Array<object> }} aggregation - From aggregateResultPatterns.
+ * @returns {string}
+ */
+export function buildRootCausePrompt({ totals, patterns }) {
+    const listed = patterns.slice(0, MAX_PATTERNS_IN_PROMPT);
+    const patternLines = listed.map(pattern => {
+        const fixFields = Object.entries(pattern.fix_fields).map(([field, count]) => `${field} (${count})`).join(', ');
+        const examples = pattern.examples.map(example => `${example.inv_num ?? example.file_name}` +
+            (example.fix.length > 0 ? `: ${example.fix.map(change => `${change.field} ${formatValue(change.current)} -> ${formatValue(change.suggested)}`).join(', ')}` : '')).join('; ');
+        return `[${pattern.pattern_id}] ${pattern.count} invoice(s) | supplier ${pattern.supplier} | ${pattern.report_type} | ${pattern.reason_code || 'no reason code'}\n` +
+            `  reason: ${truncate(pattern.reason, MAX_REASON_CHARS)}\n` +
+            (fixFields ? `  fixes suggested for: ${fixFields}\n` : '') +
+            `  examples: ${examples}`;
+    });
+    const omitted = patterns.length - listed.length;
+
+    return `You are reviewing the outcome of an invoice exception analysis run: ${totals.analyzed} invoice(s) were analyzed. ` +
+        `Their results are grouped below into patterns by supplier, report type, reason code and similar reason text.\n\n` +
+        `${patternLines.join('\n\n')}\n` +
+        (omitted > 0 ? `\n(${omitted} smaller pattern(s) not listed.)\n` : '') +
+        `\nIdentify at most 5 systemic root causes: problems upstream of individual invoices (a supplier's invoice layout, ` +
+        `extraction or field mapping rules, master data) that explain several invoices at once, for example ` +
+        `"STRMN invoices always lack discount lines" or "ship_to holds an account code like (40641933)". Ignore one-off issues. ` +
+        `For each cause give a concrete upstream fix.\n` +
+        `Respond with ONLY a single JSON object (no markdown, no text before or after it) with exactly this key:\n` +
+        `  "root_causes": array of at most 5 objects with "title" (short), "description", "suggested_upstream_fix", ` +
+        `"pattern_ids" (ids from the list above that the cause explains, e.g. ["P1", "P4"]) and "confidence" (integer 0-100).\n` +
+        `Return an empty array when no cause explains more than one invoice.`;
+}
+
+/**
+ * Attaches counts and example invoices to the model's causes, from the patterns they name.
+ * @param {Array<object>} patterns - From aggregateResultPatterns.
+ * @param {Array<object>} rootCauses - root_causes of a valid model answer.
+ * @returns {Array<object>} Causes, most invoices first. Pattern ids the model made up are kept in unknown_pattern_ids.
+ */
+export function resolveRootCauses(patterns, rootCauses) {
+    const patternsById = new Map(patterns.map(pattern => [pattern.pattern_id, pattern]));
+    const unique = values => [...new Set(values)];
+    return rootCauses.map(cause => {
+        const matched = unique(cause.pattern_ids).filter(id => patternsById.has(id)).map(id => patternsById.get(id));
+        return {
+            title: cause.title,
+            description: cause.description,
+            suggested_upstream_fix: cause.suggested_upstream_fix,
+            confidence: cause.confidence,
+            invoice_count: matched.reduce((sum, pattern) => sum + pattern.count, 0),
+            pattern_ids: matched.map(pattern => pattern.pattern_id),
+            unknown_pattern_ids: unique(cause.pattern_ids).filter(id => !patternsById.has(id)),
+            suppliers: unique(matched.map(pattern => pattern.supplier)),
+            report_types: unique(matched.map(pattern => pattern.report_type)),
+            reason_codes: unique(matched.map(pattern => pattern.reason_code).filter(Boolean)),
+            examples: matched.flatMap(pattern => pattern.examples).slice(0, EXAMPLES_PER_CAUSE)
+                .map(({ result_key, _id, file_name, inv_num, reason }) => ({ result_key, _id, file_name, inv_num, reason }))
+        };
+    }).sort((a, b) => b.invoice_count - a.invoice_count);
+}
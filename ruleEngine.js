@@ -0,0 +1,219 @@
+/**
+ * Deterministic invoice checks that run before any model call.
+ *
+ * Each rule inspects the invoice JSON and, when it fires, returns a message plus the numbers it computed.
+ * `explains` lists the report types the rule is a sufficient explanation for. `fixFromDocument` marks rules
+ * whose explanation is certain but whose fix can only be read off the PDF (e.g. an empty ship_to), so the
+ * model is still consulted for those.
+ */
+
+const MONEY_EPSILON = 0.005; // Amounts are compared after rounding to cents.
+
+const roundMoney = value => Math.round(Number(value) * 100) / 100;
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const amountsDiffer = (a, b) => Math.abs(roundMoney(a) - roundMoney(b)) > MONEY_EPSILON;
+
+function exceptionDiff(doc, exceptionType) {
+    const exception = doc.exceptions?.header?.find(ex => ex.exception_type === exceptionType);
+    return exception && isNumber(exception.diff) ? exception.diff : null;
+}
+
+const INVOICE_RULES = [
+    {
+        id: 'MISSING_INV_NUM',
+        explains: ['PENDING_CONFIRMATION'],
+        fixFromDocument: true,
+        evaluate: doc => isBlank(doc.inv_num)
+            ? { message: 'Invoice number (inv_num) is missing or empty.' }
+            : null
+    },
+    {
+        id: 'ZERO_TOTAL',
+        explains: ['PENDING_CONFIRMATION'],
+        evaluate: doc => (!isNumber(doc.total) || roundMoney(doc.total) === 0)
+            ? { message: `Total amount (total) is ${isNumber(doc.total) ? 'zero' : 'missing'}.`, details: { total: doc.total ?? null } }
+            : null
+    },
+    {
+        id: 'MISSING_LINE_ITEMS',
+        explains: ['PENDING_CONFIRMATION'],
+        evaluate: doc => (!Array.isArray(doc.line_items) || doc.line_items.length === 0)
+            ? { message: 'Line items (line_items) array is missing or empty.' }
+            : null
+    },
+    {
+        id: 'MISSING_INV_DATE',
+        explains: ['PENDING_CONFIRMATION'],
+        evaluate: doc => isBlank(doc.inv_date) || Number.isNaN(new Date(doc.inv_date).getTime())
+            ? { message: 'Invoice date (inv_date) is missing or not a valid date.', details: { inv_date: doc.inv_date ?? null } }
+            : null
+    },
+    {
+        id: 'FUTURE_INV_DATE',
+        explains: ['PENDING_CONFIRMATION'],
+        evaluate: (doc, { now }) => {
+            if (isBlank(doc.inv_date)) return null;
+            const invDate = new Date(doc.inv_date);
+            if (Number.isNaN(invDate.getTime())) return null;
+            const invDay = invDate.toISOString().split('T')[0];
+            const today = now.toISOString().split('T')[0];
+            return invDay > today
+                ? { message: `Invoice date (inv_date) ${invDay} is in the future (today is ${today}).`, details: { inv_date: invDay, current_date: today } }
+                : null;
+        }
+    },
+    {
+        id: 'MISSING_SUPPLIER',
+        explains: ['PENDING_CONFIRMATION', 'UNASSIGNED'],
+        fixFromDocument: true,
+        evaluate: doc => (isBlank(doc.supplier) && isBlank(doc.supplier_extra_info?.name))
+            ? { message: 'Supplier name (supplier / supplier_extra_info.name) is missing.' }
+            : null
+    },
+    {
+        id: 'MISSING_PO_NUM',
+        explains: ['PO_NOT_FOUND'],
+        fixFromDocument: true,
+        evaluate: doc => isBlank(doc.po_num)
+            ? { message: 'po_num is empty or missing in the invoice data.' }
+            : null
+    },
+    {
+        id: 'EMPTY_SHIP_TO',
+        explains: ['SHIPTOISSUE'],
+        fixFromDocument: true,
+        evaluate: doc => isBlank(doc.ship_to)
+            ? { message: 'ship_to is empty, null or missing in the invoice data.', details: { ship_to: doc.ship_to ?? null } }
+            : null
+    },
+    {
+        id: 'HEADER_TOTAL_MISMATCH',
+        explains: ['INV_AMOUNT_VARIANCE'],
+        evaluate: doc => {
+            if (!isNumber(doc.total) || !isNumber(doc.sub_total)) return null;
+            const taxes = isNumber(doc.taxes) ? doc.taxes : 0;
+            const shipping = isNumber(doc.shipping) ? doc.shipping : 0;
+            const discount = isNumber(doc.discount_amount) ? doc.discount_amount : 0;
+            const computedTotal = roundMoney(doc.sub_total + taxes + shipping - discount);
+            if (!amountsDiffer(computedTotal, doc.total)) return null;
+            const difference = roundMoney(computedTotal - doc.total);
+            return {
+                message: `sub_total + taxes + shipping - discount = ${computedTotal.toFixed(2)} but total is ${roundMoney(doc.total).toFixed(2)} (difference ${difference.toFixed(2)}).`,
+                details: { sub_total: doc.sub_total, taxes, shipping, discount_amount: discount, computed_total: computedTotal, total: doc.total, difference, exception_diff: exceptionDiff(doc, 'INV_AMOUNT_VARIANCE') }
+            };
+        }
+    },
+    {
+        id: 'LINE_ITEMS_SUBTOTAL_MISMATCH',
+        explains: ['INV_AMOUNT_VARIANCE'],
+        evaluate: doc => {
+            if (!Array.isArray(doc.line_items) || doc.line_items.length === 0 || !isNumber(doc.sub_total)) return null;
+            if (!doc.line_items.every(item => isNumber(item.price))) return null;
+            const lineItemsSum = roundMoney(doc.line_items.reduce((sum, item) => sum + item.price, 0));
+            if (!amountsDiffer(lineItemsSum, doc.sub_total)) return null;
+            const difference = roundMoney(lineItemsSum - doc.sub_total);
+            const expectedDiff = exceptionDiff(doc, 'INV_AMOUNT_VARIANCE');
+            const matchesException = expectedDiff !== null && !amountsDiffer(difference, expectedDiff);
+            return {
+                message: `Sum of line_items[].price is ${lineItemsSum.toFixed(2)} but sub_total is ${roundMoney(doc.sub_total).toFixed(2)} (difference ${difference.toFixed(2)}${matchesException ? ', matches the recorded variance' : ''}).`,
+                details: { line_items_sum: lineItemsSum, sub_total: doc.sub_total, difference, exception_diff: expectedDiff, matches_exception_diff: matchesException }
+            };
+        }
+    },
+    {
+        id: 'LINE_ITEM_EXTENSION_MISMATCH',
+        explains: ['ITEM_UNMATCHED', 'INV_AMOUNT_VARIANCE'],
+        evaluate: doc => {
+            if (!Array.isArray(doc.line_items)) return null;
+            const mismatches = [];
+            doc.line_items.forEach((item, index) => {
+                if (!isNumber(item.qty) || !isNumber(item.unit_price) || !isNumber(item.price)) return;
+                const extended = roundMoney(item.qty * item.unit_price);
+                if (amountsDiffer(extended, item.price)) {
+                    mismatches.push({
+                        index, name: item.name || null, supplier_product_id: item.supplier_product_id || null,
+                        qty: item.qty, unit_price: item.unit_price, price: item.price,
+                        computed_price: extended, difference: roundMoney(extended - item.price)
+                    });
+                }
+            });
+            if (mismatches.length === 0) return null;
+            const described = mismatches
+                .map(m => `line ${m.index + 1} (${m.supplier_product_id || m.name || 'unnamed'}): ${m.qty} x ${m.unit_price} = ${m.computed_price.toFixed(2)} vs price ${m.price}`)
+                .join('; ');
+            return { message: `qty * unit_price does not equal price for ${mismatches.length} line item(s): ${described}.`, details: { mismatches } };
+        }
+    },
+    {
+        id: 'LINE_ITEM_MISSING_SKU',
+        explains: ['ITEM_UNMATCHED'],
+        fixFromDocument: true,
+        evaluate: doc => {
+            if (!Array.isArray(doc.line_items)) return null;
+            const missing = doc.line_items
+                .map((item, index) => ({ index, name: item.name || null }))
+                .filter(({ index }) => isBlank(doc.line_items[index].supplier_product_id));
+            return missing.length > 0
+                ? { message: `supplier_product_id (SKU) is missing for ${missing.length} line item(s).`, details: { line_items: missing } }
+                : null;
+        }
+    },
+    {
+        id: 'LINE_ITEM_NON_POSITIVE_VALUES',
+        explains: ['ITEM_UNMATCHED'],
+        evaluate: doc => {
+            if (!Array.isArray(doc.line_items)) return null;
+            const offending = doc.line_items
+                .map((item, index) => ({ index, name: item.name || null, qty: item.qty, unit_price: item.unit_price }))
+                .filter(item => (isNumber(item.qty) && item.qty <= 0) || (isNumber(item.unit_price) && item.unit_price <= 0));
+            return offending.length > 0
+                ? { message: `Quantity or unit price is zero/negative for ${offending.length} line item(s).`, details: { line_items: offending } }
+                : null;
+        }
+    }
+];
+
+/**
+ * Runs every rule against an invoice and decides whether the report type is already explained.
+ * @param {object} doc - Invoice document as fetched from MongoDB.
+ * @param {string} reportType - Report option the invoice was fetched for.
+ * @param {{ now?: Date }} [options] - `now` makes date checks reproducible.
+ * @returns {{ fired: Array<object>, explained: boolean, needs_model: boolean, reason: string|null, reason_code: string|null }}
+ */
+export function evaluateInvoiceRules(doc, reportType, { now = new Date() } = {}) {
+    const fired = [];
+    for (const rule of INVOICE_RULES) {
+        const finding = rule.evaluate(doc, { now });
+        if (!finding) continue;
+        fired.push({
+            rule_id: rule.id,
+            message: finding.message,
+            details: finding.details || null,
+            explains_report_type: rule.explains.includes(reportType),
+            fix_from_document: Boolean(rule.fixFromDocument)
+        });
+    }
+
+    const explaining = fired.filter(finding => finding.explains_report_type);
+    const explained = explaining.length > 0;
+    return {
+        fired,
+        explained,
+        // The model is only needed when no rule explains the exception, or when the fix must be read from the PDF.
+        needs_model: !explained || explaining.some(finding => finding.fix_from_document),
+        reason: explained ? explaining.map(finding => finding.message).join(' ') : null,
+        reason_code: explained ? explaining[0].rule_id : null
+    };
+}
+
+/**
+ * Formats fired rules as a short bullet list to give the model the locally computed facts.
+ * @param {Array<object>} fired - `fired` from evaluateInvoiceRules.
+ * @returns {string} Prompt section, or an empty string when nothing fired.
+ */
+export function formatRuleFindingsForPrompt(fired) {
+    if (!fired || fired.length === 0) return '';
+    return '\n\nDeterministic pre-check findings (computed locally, treat as facts):\n' +
+        fired.map(finding => `- [${finding.rule_id}] ${finding.message}`).join('\n');
+}
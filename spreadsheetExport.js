@@ -0,0 +1,186 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { describeSuggestedFix, formatValue } from './htmlReport.js';
+
+/**
+ * Flattens fetched invoices and analysis results into tables for finance users.
+ *
+ * Every table has a fixed column list, so exports from different runs line up column for column. Fields that are
+ * not part of the list are kept in a trailing JSON column (keys sorted) instead of adding columns on the fly.
+ */
+
+const DATE_FIELDS = new Set(['inv_date', 'due_date', 'created_at', 'updated_at', 'analyzed_at']);
+const ARROW = '→';
+
+const INVOICE_COLUMNS = [
+    'database', 'report_type', '_id', 'file_name', 'inv_num', 'inv_type', 'inv_date', 'due_date', 'po_num', 'supplier', 'group_id',
+    'ship_to', 'location_name', 'status', 'pending_reason', 'sub_total', 'taxes', 'shipping', 'discount_amount', 'total',
+    'line_item_count', 'header_exception_count', 'line_item_exception_count', 'inv_source', 'created_at', 'updated_at', 'other_fields'
+];
+// Invoice fields with a table of their own, left out of the Invoices sheet's other_fields.
+const INVOICE_NESTED_FIELDS = new Set(['line_items', 'exceptions']);
+const EXCEPTION_COLUMNS = ['database', 'report_type', 'invoice_id', 'inv_num', 'level', 'exception_type', 'line_index', 'supplier_product_id', 'diff', 'details'];
+const LINE_ITEM_COLUMNS = ['database', 'report_type', 'invoice_id', 'inv_num', 'line_index', 'supplier_product_id', 'name', 'qty', 'unit_price', 'price', 'other_fields'];
+const ANALYSIS_COLUMNS = [
+    'result_key', 'database', 'invoice_id', 'inv_num', 'report_type', 'supplier', 'analysis_source', 'reason_code', 'confidence',
+    'ai_reason', 'evidence', 'rule_findings', 'fix_field_count', 'model_provider', 'model_name', 'prompt_template_id', 'prompt_template_version',
+    'pdf_from_cache', 'analyzed_at'
+];
+const FIX_COLUMNS = ['result_key', 'database', 'invoice_id', 'inv_num', 'report_type', 'field', 'current', 'suggested', `current ${ARROW} suggested`];
+
+const sortedJson = value => {
+    if (value === undefined || value === null) return null;
+    const keys = Object.keys(value).sort();
+    // Rebuilt in key order: a replacer key list would also drop nested keys not in it.
+    return keys.length > 0 ? JSON.stringify(Object.fromEntries(keys.map(key => [key, value[key]]))) : null;
+};
+
+function toCell(key, value) {
+    if (value === undefined || value === null) return null;
+    if (DATE_FIELDS.has(key)) {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : date;
+    }
+    if (typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+    return value;
+}
+
+const pick = (columns, record) => columns.map(column => toCell(column, record[column]));
+
+/**
+ * Builds the export tables.
+ * @param {{ fetchedInvoiceReportsByDatabase: object, analysisResults: object|null }} input - The contents of
+ *   fetchedDataFile.js (documents by database and report type) and analysisResults.json.
+ * @returns {Array<{ name: string, columns: string[], rows: Array<Array<*>> }>} Invoices, Exceptions, Line Items,
+ *   Analysis and Suggested Fixes, in that order.
+ */
+export function buildExportTables({ fetchedInvoiceReportsByDatabase, analysisResults }) {
+    const invoices = [];
+    const exceptions = [];
+    const lineItems = [];
+    const idsByFileName = new Map(); // Results written before _id was recorded are matched by file name.
+
+    const reportLists = Object.keys(fetchedInvoiceReportsByDatabase || {}).sort().flatMap(database => {
+        const byReportType = fetchedInvoiceReportsByDatabase[database] || {};
+        return Object.keys(byReportType).sort().map(reportType => ({ database, reportType, docs: byReportType[reportType] || [] }));
+    });
+    for (const { database, reportType, docs } of reportLists) {
+        for (const doc of docs) {
+            const invoiceId = doc._id ? String(doc._id) : null;
+            if (doc.file_name && invoiceId) idsByFileName.set(doc.file_name, invoiceId);
+            const headerExceptions = doc.exceptions?.header || [];
+            const lineExceptions = doc.exceptions?.line_item || [];
+            const otherFields = Object.fromEntries(Object.entries(doc)
+                .filter(([field]) => !INVOICE_COLUMNS.includes(field) && !INVOICE_NESTED_FIELDS.has(field)));
+            invoices.push(pick(INVOICE_COLUMNS, {
+                ...doc, database, report_type: reportType, _id: invoiceId,
+                line_item_count: (doc.line_items || []).length,
+                header_exception_count: headerExceptions.length, line_item_exception_count: lineExceptions.length,
+                other_fields: sortedJson(otherFields)
+            }));
+
+            const pushException = (level, exception) => {
+                const { exception_type, line_index, supplier_product_id, diff, ...details } = exception;
+                exceptions.push(pick(EXCEPTION_COLUMNS, {
+                    database, report_type: reportType, invoice_id: invoiceId, inv_num: doc.inv_num, level,
+                    exception_type, line_index, supplier_product_id, diff, details: sortedJson(details)
+                }));
+            };
+            headerExceptions.forEach(exception => pushException('header', exception));
+            lineExceptions.forEach(exception => pushException('line_item', exception));
+
+            (doc.line_items || []).forEach((item, index) => {
+                const { supplier_product_id, name, qty, unit_price, price, ...otherFields } = item;
+                lineItems.push(pick(LINE_ITEM_COLUMNS, {
+                    database, report_type: reportType, invoice_id: invoiceId, inv_num: doc.inv_num, line_index: index,
+                    supplier_product_id, name, qty, unit_price, price, other_fields: sortedJson(otherFields)
+                }));
+            });
+        }
+    }
+
+    const analysis = [];
+    const fixes = [];
+    for (const [resultKey, result] of Object.entries(analysisResults || {})) {
+        const snapshot = result.original_data_snippet || {};
+        const invoiceId = snapshot._id || idsByFileName.get(snapshot.file_name || resultKey) || null;
+        const fixChanges = describeSuggestedFix(result);
+        analysis.push(pick(ANALYSIS_COLUMNS, {
+            result_key: resultKey, database: result.database_name, invoice_id: invoiceId, inv_num: snapshot.inv_num, report_type: result.report_type,
+            supplier: result.supplier, analysis_source: result.analysis_source, reason_code: result.reason_code,
+            confidence: result.confidence, ai_reason: result.reason_from_gemma,
+            evidence: (result.evidence || []).join(' | ') || null,
+            rule_findings: (result.rule_findings || []).map(finding => finding.rule_id).join(', ') || null,
+            fix_field_count: fixChanges.length, model_provider: result.model?.provider, model_name: result.model?.name,
+            prompt_template_id: result.prompt_template_id, prompt_template_version: result.prompt_template_version,
+            pdf_from_cache: result.pdf_pages ? result.pdf_pages.from_cache : null, analyzed_at: result.analyzed_at
+        }));
+        fixChanges.forEach(change => fixes.push(pick(FIX_COLUMNS, {
+            result_key: resultKey, database: result.database_name, invoice_id: invoiceId, inv_num: snapshot.inv_num, report_type: result.report_type,
+            field: change.field, current: change.current, suggested: change.suggested,
+            [`current ${ARROW} suggested`]: `${formatValue(change.current)} ${ARROW} ${formatValue(change.suggested)}`
+        })));
+    }
+
+    return [
+        { name: 'Invoices', columns: INVOICE_COLUMNS, rows: invoices },
+        { name: 'Exceptions', columns: EXCEPTION_COLUMNS, rows: exceptions },
+        { name: 'Line Items', columns: LINE_ITEM_COLUMNS, rows: lineItems },
+        { name: 'Analysis', columns: ANALYSIS_COLUMNS, rows: analysis },
+        { name: 'Suggested Fixes', columns: FIX_COLUMNS, rows: fixes }
+    ];
+}
+
+// RFC 4180 quoting; text starting with a formula character is prefixed with ' so spreadsheets don't evaluate it.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes one CSV per table (UTF-8 with BOM so Excel detects the encoding).
+ * @param {Array<{ name: string, columns: string[], rows: Array<Array<*>> }>} tables
+ * @param {string} outputDir - Directory to write into.
+ * @returns {Promise<string[]>} Paths of the written files.
+ */
+export async function writeCsvFiles(tables, outputDir) {
+    await fsPromises.mkdir(outputDir, { recursive: true });
+    const written = [];
+    for (const table of tables) {
+        const filePath = path.join(outputDir, `${table.name.toLowerCase().replace(/\s+/g, '_')}.csv`);
+        const lines = [table.columns, ...table.rows].map(row => row.map(csvField).join(','));
+        await fsPromises.writeFile(filePath, '\uFEFF' + lines.join('\r\n') + '\r\n');
+        written.push(filePath);
+    }
+    return written;
+}
+
+/**
+ * Writes all tables to one workbook, one sheet per table, with a frozen header row and autofilter.
+ * @param {Array<{ name: string, columns: string[], rows: Array<Array<*>> }>} tables
+ * @param {string} filePath - Output .xlsx path.
+ * @returns {Promise<string>} filePath
+ */
+export async function writeXlsxWorkbook(tables, filePath) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    for (const table of tables) {
+        const sheet = workbook.addWorksheet(table.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        // Width from the header and the first rows' text, capped so free-text columns stay readable.
+        const sampleRows = table.rows.slice(0, 200);
+        sheet.columns = table.columns.map((column, index) => ({
+            header: column, key: column,
+            width: Math.min(60, Math.max(10, column.length + 2, ...sampleRows.map(row => String(row[index] ?? '').length + 2))),
+            ...(DATE_FIELDS.has(column) ? { style: { numFmt: 'yyyy-mm-dd hh:mm' } } : {})
+        }));
+        sheet.getRow(1).font = { bold: true };
+        table.rows.forEach(row => sheet.addRow(row));
+        sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: table.columns.length } };
+    }
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await workbook.xlsx.writeFile(filePath);
+    return filePath;
+}
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { S3Client, HeadObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+
+/**
+ * Storage layer for invoice files. Every backend exposes the same shape:
+ *   { name, location, stat(key) -> { size, md5, etag }, createReadStream(key, { etag }) -> Promise<Readable> }
+ * `key` is the object key without the configured prefix. `md5` is null when it can't be known up front
+ * (multipart S3 uploads, SSE-KMS and SSE-C objects). Failures are thrown as StorageError.
+ */
+
+export const STORAGE_BACKEND_NAMES = ['s3', 's3-compatible', 'local'];
+
+/**
+ * Error raised by backends. `code` is one of: NotFound, AccessDenied, PreconditionFailed, NotConfigured, Failed.
+ */
+export class StorageError extends Error {
+    constructor(message, { code = 'Failed', cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'StorageError';
+        this.code = code;
+    }
+
+    // Missing objects, permission errors and bad configuration won't fix themselves on retry.
+    get retryable() {
+        return !['NotFound', 'AccessDenied', 'NotConfigured'].includes(this.code);
+    }
+}
+
+const joinKey = (prefix, key) => `${prefix || ''}${key}`.replace(/\/\//g, '/');
+
+// Single-part uploads have the MD5 of the content as ETag; multipart ETags ("<md5>-<parts>") can't be checked locally.
+// Objects encrypted with SSE-KMS or SSE-C have a 32-hex ETag that is not the content MD5, so only their size is checked.
+function md5FromHead(head) {
+    if (['aws:kms', 'aws:kms:dsse'].includes(head.ServerSideEncryption) || head.SSECustomerAlgorithm) return null;
+    const unquoted = String(head.ETag || '').replace(/"/g, '');
+    return /^[a-f0-9]{32}$/i.test(unquoted) ? unquoted.toLowerCase() : null;
+}
+
+function toStorageError(error, fullKey) {
+    const status = error.$metadata?.httpStatusCode;
+    let code = 'Failed';
+    if (error.name === 'NotFound' || error.name === 'NoSuchKey' || status === 404) code = 'NotFound';
+    else if (error.name === 'AccessDenied' || error.name === 'Forbidden' || status === 403) code = 'AccessDenied';
+    else if (error.name === 'PreconditionFailed' || status === 412) code = 'PreconditionFailed';
+    return new StorageError(`${error.name || 'Error'} for ${fullKey}: ${error.message}`, { code, cause: error });
+}
+
+function createS3Backend({ name, bucket, prefix, region, endpoint, forcePathStyle }) {
+    if (!bucket) throw new StorageError(`${name}: no bucket configured (S3_BUCKET_NAME).`, { code: 'NotConfigured' });
+    if (name === 's3-compatible' && !endpoint) {
+        throw new StorageError('s3-compatible: no endpoint configured (S3_ENDPOINT).', { code: 'NotConfigured' });
+    }
+    // Credentials come from the default provider chain (AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY, profile, role).
+    const client = new S3Client({ region, ...(endpoint ? { endpoint, forcePathStyle } : {}) });
+
+    return {
+        name,
+        location: `${endpoint ? `${endpoint}/` : 's3://'}${bucket}/${prefix || ''}`,
+        async stat(key) {
+            const fullKey = joinKey(prefix, key);
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: fullKey }));
+                return { size: head.ContentLength, md5: md5FromHead(head), etag: head.ETag };
+            } catch (error) {
+                throw toStorageError(error, fullKey);
+            }
+        },
+        async createReadStream(key, { etag } = {}) {
+            const fullKey = joinKey(prefix, key);
+            try {
+                // IfMatch: fail instead of mixing two versions if the object is replaced between stat() and the read.
+                const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: fullKey, ...(etag ? { IfMatch: etag } : {}) }));
+                return response.Body;
+            } catch (error) {
+                throw toStorageError(error, fullKey);
+            }
+        }
+    };
+}
+
+function createLocalBackend({ rootDir, prefix }) {
+    const root = path.resolve(rootDir);
+    const resolveKey = key => {
+        const filePath = path.resolve(root, joinKey(prefix, key));
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new StorageError(`Key ${key} resolves outside ${root}.`, { code: 'AccessDenied' });
+        }
+        return filePath;
+    };
+    const wrapFsError = error => new StorageError(error.message, {
+        code: error.code === 'ENOENT' ? 'NotFound' : (error.code === 'EACCES' ? 'AccessDenied' : 'Failed'), cause: error
+    });
+
+    return {
+        name: 'local',
+        location: `${root}${path.sep}${prefix || ''}`,
+        async stat(key) {
+            const filePath = resolveKey(key);
+            try {
+                const stats = await fsPromises.stat(filePath);
+                const hash = crypto.createHash('md5');
+                await pipeline(fs.createReadStream(filePath), hash);
+                const md5 = hash.digest('hex');
+                return { size: stats.size, md5, etag: `"${md5}"` };
+            } catch (error) {
+                throw wrapFsError(error);
+            }
+        },
+        async createReadStream(key) {
+            const filePath = resolveKey(key);
+            try {
+                await fsPromises.access(filePath, fs.constants.R_OK);
+            } catch (error) {
+                throw wrapFsError(error);
+            }
+            return fs.createReadStream(filePath);
+        }
+    };
+}
+
+/**
+ * Storage settings from the profile's storage section (see appConfig.js); a per-run choice overrides `backend`.
+ * @param {{ backend: string, bucket: string, prefix: string, region: string, endpoint?: string|null, local_dir?: string|null }} storageConfig
+ * @param {object} [env] - Only S3_FORCE_PATH_STYLE is read here; the other variables override the profile in appConfig.js.
+ */
+export function getStorageDefaults(storageConfig, env = process.env) {
+    return {
+        backend: storageConfig.backend,
+        bucket: storageConfig.bucket,
+        prefix: storageConfig.prefix,
+        region: storageConfig.region,
+        endpoint: storageConfig.endpoint || null, // e.g. http://localhost:9000 for MinIO
+        forcePathStyle: ['1', 'true', 'yes'].includes(String(env.S3_FORCE_PATH_STYLE ?? 'true').toLowerCase()),
+        // Mirrors the bucket layout, prefix included.
+        localDir: storageConfig.local_dir ? path.resolve(storageConfig.local_dir) : path.join(process.cwd(), 'data', 'local_storage')
+    };
+}
+
+/**
+ * Creates the storage backend selected for a run.
+ * @param {{ backend?: string }} selection - Per-run choice; falls back to the profile's backend.
+ * @param {object} defaults - From getStorageDefaults.
+ * @returns {object} Backend with name, location, stat() and createReadStream().
+ */
+export function createStorageBackend(selection = {}, defaults) {
+    const backendName = selection.backend || defaults.backend;
+    switch (backendName) {
+        case 's3':
+            return createS3Backend({ name: 's3', bucket: defaults.bucket, prefix: defaults.prefix, region: defaults.region });
+        case 's3-compatible':
+            return createS3Backend({
+                name: 's3-compatible', bucket: defaults.bucket, prefix: defaults.prefix, region: defaults.region,
+                endpoint: defaults.endpoint, forcePathStyle: defaults.forcePathStyle
+            });
+        case 'local':
+            return createLocalBackend({ rootDir: defaults.localDir, prefix: defaults.prefix });
+        default:
+            throw new StorageError(`Unknown storage backend '${backendName}'. Expected one of: ${STORAGE_BACKEND_NAMES.join(', ')}.`, { code: 'NotConfigured' });
+    }
+}